@@ -0,0 +1,252 @@
+class AnimationTimeline {
+    constructor() {
+        this.vertices = [];
+        this.keyframes = []; // Sorted by time: { time, positions: Float32Array }
+        
+        this.currentTime = 0;
+        this.playing = false;
+        this.loop = true;
+        this.speed = 1.0;
+        this.keyframeSpacing = 1.0; // Seconds added when keying past the end
+        
+        this.onUpdate = null; // Called after interpolated positions are written to the vertices
+        this.onStateChange = null; // Called when time, playback or keyframes change
+        this.onEnd = null; // Called once a playback without looping has reached the last key
+    }
+    
+    init(vertices) {
+        this.vertices = vertices;
+        this.keyframes = [];
+        this.currentTime = 0;
+        this.playing = false;
+        this.notifyStateChange();
+    }
+    
+    getDuration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+    
+    capturePositions() {
+        const positions = new Float32Array(this.vertices.length * 3);
+        this.vertices.forEach((vertex, i) => {
+            positions[i * 3] = vertex.position.x;
+            positions[i * 3 + 1] = vertex.position.y;
+            positions[i * 3 + 2] = vertex.position.z;
+        });
+        return positions;
+    }
+    
+    // Key the current vertex positions. Keying at the end of the timeline appends a new key.
+    addKeyframe(time) {
+        if (time === undefined) {
+            time = this.currentTime;
+            const duration = this.getDuration();
+            if (this.keyframes.length > 0 && time >= duration - 1e-3) {
+                time = duration + this.keyframeSpacing;
+            }
+        }
+        
+        const keyframe = { time: Math.max(0, time), positions: this.capturePositions() };
+        const existing = this.keyframes.findIndex(k => Math.abs(k.time - keyframe.time) < 1e-3);
+        
+        if (existing !== -1) {
+            this.keyframes[existing] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+        
+        this.currentTime = keyframe.time;
+        this.notifyStateChange();
+        return keyframe;
+    }
+    
+    // Remove the keyframe closest to the playhead
+    removeKeyframe(time = this.currentTime) {
+        if (this.keyframes.length === 0) return false;
+        
+        let closest = 0;
+        this.keyframes.forEach((keyframe, i) => {
+            if (Math.abs(keyframe.time - time) < Math.abs(this.keyframes[closest].time - time)) {
+                closest = i;
+            }
+        });
+        
+        this.keyframes.splice(closest, 1);
+        this.currentTime = Math.min(this.currentTime, this.getDuration());
+        this.notifyStateChange();
+        return true;
+    }
+    
+    clear() {
+        this.stop();
+        this.keyframes = [];
+        this.currentTime = 0;
+        this.notifyStateChange();
+    }
+    
+    play() {
+        if (this.keyframes.length < 2) return false;
+        
+        if (this.currentTime >= this.getDuration()) {
+            this.currentTime = 0;
+        }
+        
+        this.playing = true;
+        this.notifyStateChange();
+        return true;
+    }
+    
+    pause() {
+        this.playing = false;
+        this.notifyStateChange();
+    }
+    
+    stop() {
+        this.playing = false;
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+        this.notifyStateChange();
+    }
+    
+    setLoop(loop) {
+        this.loop = loop;
+        this.notifyStateChange();
+    }
+    
+    seek(time) {
+        this.currentTime = Math.max(0, Math.min(this.getDuration(), time));
+        this.apply(this.currentTime);
+        this.notifyStateChange();
+    }
+    
+    // animationMixer-style hook driven from MeshRenderer.animate
+    update(delta) {
+        if (!this.playing || this.keyframes.length < 2) return;
+        
+        const duration = this.getDuration();
+        this.currentTime += delta * this.speed;
+        
+        let ended = false;
+        if (this.currentTime >= duration) {
+            if (this.loop) {
+                this.currentTime %= duration;
+            } else {
+                this.currentTime = duration;
+                this.playing = false;
+                ended = true;
+            }
+        }
+        
+        this.apply(this.currentTime);
+        this.notifyStateChange();
+        
+        // After the last pose is on the vertices, so listeners see where playback stopped
+        if (ended && typeof this.onEnd === 'function') {
+            this.onEnd();
+        }
+    }
+    
+    // Write the interpolated pose at time into the vertex positions
+    apply(time) {
+        if (this.keyframes.length === 0) return;
+        
+        const keys = this.keyframes;
+        let next = keys.findIndex(k => k.time > time);
+        if (next === -1) next = keys.length - 1;
+        const current = Math.max(0, next - 1);
+        
+        const span = keys[next].time - keys[current].time;
+        const t = span > 0 ? Math.max(0, Math.min(1, (time - keys[current].time) / span)) : 1;
+        
+        // Catmull-Rom through the neighbouring keys for smooth motion
+        const p0 = keys[Math.max(0, current - 1)].positions;
+        const p1 = keys[current].positions;
+        const p2 = keys[next].positions;
+        const p3 = keys[Math.min(keys.length - 1, next + 1)].positions;
+        
+        const t2 = t * t;
+        const t3 = t2 * t;
+        
+        this.vertices.forEach((vertex, i) => {
+            const value = (axis) => {
+                const j = i * 3 + axis;
+                return 0.5 * (
+                    2 * p1[j] +
+                    (p2[j] - p0[j]) * t +
+                    (2 * p0[j] - 5 * p1[j] + 4 * p2[j] - p3[j]) * t2 +
+                    (3 * p1[j] - p0[j] - 3 * p2[j] + p3[j]) * t3
+                );
+            };
+            vertex.position.set(value(0), value(1), value(2));
+        });
+        
+        if (typeof this.onUpdate === 'function') {
+            this.onUpdate();
+        }
+    }
+    
+    notifyStateChange() {
+        if (typeof this.onStateChange === 'function') {
+            this.onStateChange(this.getState());
+        }
+    }
+    
+    getState() {
+        return {
+            currentTime: this.currentTime,
+            duration: this.getDuration(),
+            playing: this.playing,
+            loop: this.loop,
+            speed: this.speed,
+            keyframeTimes: this.keyframes.map(k => k.time)
+        };
+    }
+    
+    // Keyframes keyed by vertex id so they survive a reordered mesh
+    toJSON() {
+        return {
+            loop: this.loop,
+            speed: this.speed,
+            keyframes: this.keyframes.map(keyframe => {
+                const positions = {};
+                this.vertices.forEach((vertex, i) => {
+                    positions[vertex.id] = [
+                        keyframe.positions[i * 3],
+                        keyframe.positions[i * 3 + 1],
+                        keyframe.positions[i * 3 + 2]
+                    ];
+                });
+                return { time: keyframe.time, positions };
+            })
+        };
+    }
+    
+    fromJSON(data) {
+        this.stop();
+        this.loop = data.loop !== false;
+        this.speed = data.speed || 1.0;
+        this.keyframes = (data.keyframes || []).map(keyframe => {
+            const positions = this.capturePositions();
+            this.vertices.forEach((vertex, i) => {
+                const position = keyframe.positions[vertex.id];
+                if (position) {
+                    positions[i * 3] = position[0];
+                    positions[i * 3 + 1] = position[1];
+                    positions[i * 3 + 2] = position[2];
+                }
+            });
+            return { time: keyframe.time, positions };
+        }).sort((a, b) => a.time - b.time);
+        
+        this.currentTime = 0;
+        this.notifyStateChange();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimationTimeline;
+}
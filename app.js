@@ -4,8 +4,12 @@ class MeshVisualizerApp {
         this.uiController = null;
         this.physicsEngine = null;
         this.meshData = null;
+        this.meshLoader = new MeshLoader();
         this.animationLoopId = null;
         this.lastTime = 0;
+        this.forceFieldActivity = ''; // Which force fields were active last frame, see updateForceFieldActivity
+        this.analysisValues = null; // Values behind an analysis colour scheme, see updateAnalysis
+        this.recorder = typeof PhysicsRecorder !== 'undefined' ? new PhysicsRecorder() : null;
         
         this.init();
     }
@@ -26,16 +30,26 @@ class MeshVisualizerApp {
             
             // Initialize renderer
             this.renderer = new MeshRenderer('mesh-canvas');
+            this.renderer.onVerticesMoved = (vertexIds) => this.syncPhysicsPositions(vertexIds);
+            this.renderer.onGrabStart = (vertex) => this.startGrab(vertex);
+            this.renderer.onGrabMove = (vertex, target) => this.physicsEngine.moveGrab(target);
+            this.renderer.onGrabEnd = () => this.physicsEngine.endGrab();
+            this.renderer.loadMeshData(this.meshData);
             
             // Update loading progress
             this.updateLoadingProgress(70, 'Initializing physics engine...');
             
             // Initialize physics engine
-            this.physicsEngine = new PhysicsEngine();
+            this.physicsEngine = this.createPhysicsEngine();
+            if (this.recorder) {
+                this.recorder.onFrame = (positions) => this.showRecordedFrame(positions);
+            }
             
             // Initialize with mesh data
             if (this.meshData) {
                 this.physicsEngine.init(this.meshData);
+                this.renderer.setPinnedVertices(this.physicsEngine.getFixedMassIds());
+                this.renderer.setGroundLevel(this.physicsEngine.groundLevel);
             }
             
             // Update loading progress
@@ -49,6 +63,7 @@ class MeshVisualizerApp {
             
             // Set up event listeners
             this.setupEventListeners();
+            this.updateStatusBar();
             
             // Start physics simulation loop
             this.startPhysicsLoop();
@@ -60,67 +75,137 @@ class MeshVisualizerApp {
             setTimeout(() => {
                 this.showLoading(false);
                 this.showWelcomeNotification();
+                this.reportMeshWarnings();
             }, 500);
             
             console.log('Mesh Visualizer initialized successfully');
             
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.showError(`Failed to initialize application: ${error.message}`);
+            this.showError(`Failed to initialize application: ${error.message}`, error.problems);
         }
     }
     
     async loadMeshData() {
         this.updateLoadingProgress(20, 'Loading mesh data...');
         
+        // The ?mesh= query parameter picks a different mesh file
+        const source = this.meshLoader.getInitialSource();
+        
         try {
-            // Try to load from network first
-            const response = await fetch('mesh_data.json', {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            this.meshData = await response.json();
+            this.meshData = await this.meshLoader.loadFromUrl(source);
             
             this.updateLoadingProgress(40, 'Parsing vertices and edges...');
             
-            // Validate data structure
-            if (!this.meshData.vertices || !this.meshData.edges) {
-                throw new Error('Invalid mesh data structure: missing vertices or edges');
-            }
-            
-            // Validate vertices array
-            if (!Array.isArray(this.meshData.vertices)) {
-                throw new Error('Invalid vertices data: expected array');
-            }
-            
-            // Validate edges array
-            if (!Array.isArray(this.meshData.edges)) {
-                throw new Error('Invalid edges data: expected array');
-            }
-            
             console.log(`Loaded ${this.meshData.vertices.length} vertices and ${this.meshData.edges.length} edges`);
             
         } catch (error) {
             console.error('Error loading mesh data:', error);
             
+            // Validation reports already say what is wrong and where
+            if (error.problems) {
+                throw error;
+            }
+            
             // Provide more specific error message
             if (error.message.includes('Failed to fetch')) {
-                throw new Error('Failed to load mesh data. Please check if mesh_data.json exists and the server is running.');
+                throw new Error(`Failed to load mesh data. Please check if ${source} exists and the server is running.`);
             } else if (error.message.includes('JSON')) {
-                throw new Error('Invalid mesh data format. Please check mesh_data.json file.');
+                throw new Error(`Invalid mesh data format. Please check ${source} file.`);
             } else {
                 throw new Error(`Failed to load mesh data: ${error.message}`);
             }
         }
     }
     
+    // Replace the current mesh with one from a File (picker or drop) or a URL, rebuilding
+    // renderer, physics and UI lists in place. The previous mesh stays if the new one fails.
+    async loadMesh(source) {
+        const name = typeof source === 'string' ? source : source.name;
+        const previousData = this.meshData;
+        const previousSource = this.meshLoader.source;
+        
+        let meshData;
+        try {
+            meshData = typeof source === 'string'
+                ? await this.meshLoader.loadFromUrl(source)
+                : await this.meshLoader.loadFromFile(source);
+        } catch (error) {
+            console.error('Error loading mesh:', error);
+            if (error.problems) {
+                this.showError(`Could not load ${name}: ${error.message}`, error.problems);
+            } else {
+                this.uiController.showNotification(`Could not load ${name}: ${error.message}`, 'error');
+            }
+            return false;
+        }
+        
+        try {
+            this.applyMeshData(meshData);
+        } catch (error) {
+            console.error('Error building mesh:', error);
+            this.meshLoader.source = previousSource;
+            this.applyMeshData(previousData);
+            this.uiController.showNotification(`Could not build ${name}: ${error.message}`, 'error');
+            return false;
+        }
+        
+        this.uiController.showNotification(
+            `Loaded ${name}: ${meshData.vertices.length} vertices, ${meshData.edges.length} edges`,
+            'success'
+        );
+        this.reportMeshWarnings();
+        return true;
+    }
+    
+    // Non-fatal validation findings go to a notification, details are in the console
+    reportMeshWarnings() {
+        const count = this.meshLoader.warnings.length;
+        if (count > 0 && this.uiController) {
+            this.uiController.showNotification(
+                `${this.meshLoader.source} has ${count} data warning${count === 1 ? '' : 's'} (see console)`,
+                'warning'
+            );
+        }
+    }
+    
+    applyMeshData(meshData) {
+        this.meshData = meshData;
+        this.closeVertexInfo();
+        
+        // Recordings belong to the mesh they were made on
+        if (this.recorder) {
+            this.recorder.clear();
+        }
+        
+        this.renderer.loadMeshData(meshData);
+        
+        this.physicsEngine.init(meshData);
+        this.physicsEngine.setGravityScale(1);
+        this.renderer.setPinnedVertices(this.physicsEngine.getFixedMassIds());
+        this.renderer.setGroundLevel(this.physicsEngine.groundLevel);
+        this.refreshForceFields();
+        this.updateAnalysis();
+        
+        this.uiController.setMeshData(meshData);
+        this.updateStatusBar();
+    }
+    
+    updateStatusBar() {
+        const dataSource = document.getElementById('data-source');
+        if (dataSource) {
+            dataSource.textContent = this.meshLoader.source;
+            dataSource.title = this.meshLoader.source;
+        }
+        
+        const boundingBox = document.getElementById('bounding-box');
+        if (boundingBox && this.meshData) {
+            const { min, max } = MeshLoader.getBounds(this.meshData);
+            const format = (point) => `[${Math.round(point.x)}, ${Math.round(point.y)}, ${Math.round(point.z)}]`;
+            boundingBox.textContent = `Bounding Box: ${format(min)} to ${format(max)}`;
+        }
+    }
+    
     updateLoadingProgress(percent, message) {
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
@@ -146,7 +231,8 @@ class MeshVisualizerApp {
         }
     }
     
-    showError(message) {
+    // problems: optional validation report entries ({ location, message }) listed under the message
+    showError(message, problems = []) {
         // Remove any existing error overlays
         const existingErrors = document.querySelectorAll('.error-overlay');
         existingErrors.forEach(error => error.remove());
@@ -158,13 +244,18 @@ class MeshVisualizerApp {
             <div class="error-content">
                 <div class="error-icon">❌</div>
                 <h3>Error</h3>
-                <p>${message}</p>
+                <p>${this.escapeHtml(message)}</p>
+                ${problems.length > 0 ? `
+                <ul class="error-problems">
+                    ${problems.map(problem => `<li><code>${this.escapeHtml(problem.location)}</code> ${this.escapeHtml(problem.message)}</li>`).join('')}
+                </ul>` : ''}
                 <div class="error-actions">
                     <button id="error-reload" class="error-btn primary">Reload Application</button>
+                    ${this.renderer && this.meshData ? '<button id="error-close" class="error-btn secondary">Keep Current Mesh</button>' : ''}
                     <button id="error-details" class="error-btn secondary">Show Details</button>
                 </div>
                 <div class="error-details" id="error-details-content" style="display: none; margin-top: 15px; padding: 10px; background: rgba(0,0,0,0.2); border-radius: 4px; font-family: monospace; font-size: 12px; max-height: 100px; overflow-y: auto;">
-                    ${message}
+                    ${this.escapeHtml(message)}
                 </div>
             </div>
         `;
@@ -173,6 +264,7 @@ class MeshVisualizerApp {
         
         // Add event listeners
         const reloadBtn = document.getElementById('error-reload');
+        const closeBtn = document.getElementById('error-close');
         const detailsBtn = document.getElementById('error-details');
         const detailsContent = document.getElementById('error-details-content');
         
@@ -182,6 +274,12 @@ class MeshVisualizerApp {
             });
         }
         
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                errorOverlay.remove();
+            });
+        }
+        
         if (detailsBtn) {
             detailsBtn.addEventListener('click', () => {
                 const isVisible = detailsContent.style.display === 'block';
@@ -197,6 +295,12 @@ class MeshVisualizerApp {
         this.showLoading(false);
     }
     
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+    
     addErrorStyles() {
         if (!document.getElementById('error-styles')) {
             const style = document.createElement('style');
@@ -281,6 +385,29 @@ class MeshVisualizerApp {
                     background: var(--background-medium);
                     border-color: var(--text-secondary);
                 }
+                
+                .error-problems {
+                    list-style: none;
+                    text-align: left;
+                    max-height: 220px;
+                    overflow-y: auto;
+                    margin: -10px 0 25px;
+                    padding: 10px;
+                    background: rgba(0, 0, 0, 0.2);
+                    border-radius: 4px;
+                    font-size: 13px;
+                    color: var(--text-secondary);
+                }
+                
+                .error-problems li {
+                    padding: 4px 0;
+                    border-bottom: 1px solid var(--background-light);
+                }
+                
+                .error-problems code {
+                    color: var(--error-color);
+                    margin-right: 6px;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -298,6 +425,9 @@ class MeshVisualizerApp {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Leave typing in text and number fields alone
+            if (e.target.matches && e.target.matches('input, select, textarea')) return;
+            
             // Prevent default behavior for our shortcuts
             const handledKeys = [' ', '1', '2', '3', 'Escape', 'p', 'r'];
             
@@ -333,8 +463,10 @@ class MeshVisualizerApp {
                     this.resetPhysics();
                     break;
                 case 'Escape':
-                    // Escape - close vertex info
-                    this.closeVertexInfo();
+                    // Escape - cancel placing a force field, else close vertex info
+                    if (!this.renderer || !this.renderer.cancelPlacement()) {
+                        this.closeVertexInfo();
+                    }
                     break;
             }
         });
@@ -378,6 +510,134 @@ class MeshVisualizerApp {
         if (panel) {
             panel.classList.remove('visible');
         }
+        
+        if (this.renderer) {
+            this.renderer.setForceGizmo(null);
+        }
+    }
+    
+    // Pin or free a vertex in the simulation. Returns the new fixed state, or null if unknown.
+    toggleFixed(vertexId) {
+        if (!this.physicsEngine) return null;
+        
+        const fixed = this.physicsEngine.toggleFixed(vertexId);
+        if (fixed !== null && this.renderer) {
+            this.renderer.setPinnedVertices(this.physicsEngine.getFixedMassIds());
+        }
+        return fixed;
+    }
+    
+    // Replace the pinned set with a named preset (see PhysicsEngine.PIN_PRESETS)
+    applyPinPreset(name) {
+        if (!this.physicsEngine || !this.physicsEngine.applyPinPreset(name)) return false;
+        
+        if (this.renderer) {
+            this.renderer.setPinnedVertices(this.physicsEngine.getFixedMassIds());
+        }
+        return true;
+    }
+    
+    // Copy of the mesh data with the current pinned set written into the vertices' fixed
+    // flags, so loading it again starts from the same anchors
+    exportMesh() {
+        if (!this.meshData) return null;
+        
+        const meshData = JSON.parse(JSON.stringify(this.meshData));
+        if (this.physicsEngine) {
+            meshData.vertices.forEach(vertex => {
+                const mass = this.physicsEngine.getMassById(vertex.id);
+                if (mass) vertex.fixed = mass.fixed;
+            });
+            
+            meshData.physics = { ...meshData.physics };
+            if (this.physicsEngine.pinPreset) {
+                meshData.physics.pinPreset = this.physicsEngine.pinPreset;
+            } else {
+                delete meshData.physics.pinPreset;
+            }
+        }
+        return meshData;
+    }
+    
+    // mode 'force' keeps a sustained load on the vertex, 'impulse' kicks it once.
+    // Fixed vertices do not respond, so nothing is applied to them.
+    applyVertexLoad(vertexId, vector, mode) {
+        const mass = this.physicsEngine ? this.physicsEngine.getMassById(vertexId) : null;
+        if (!mass || mass.fixed) return false;
+        
+        if (mode === 'impulse') {
+            this.physicsEngine.applyImpulse(vertexId, vector);
+        } else {
+            this.physicsEngine.setLoad(vertexId, vector);
+            this.renderer.setLoadArrows(this.physicsEngine.getLoads());
+        }
+        return true;
+    }
+    
+    // Grab tool: only free vertices of a running simulation can be pulled
+    startGrab(vertex) {
+        if (!this.physicsEngine || !this.physicsEngine.enabled) return false;
+        
+        return this.physicsEngine.startGrab(vertex.id, vertex.position);
+    }
+    
+    clearVertexLoad(vertexId) {
+        if (!this.physicsEngine || !this.physicsEngine.clearLoad(vertexId)) return false;
+        
+        this.renderer.setLoadArrows(this.physicsEngine.getLoads());
+        return true;
+    }
+    
+    // Persistent force fields (see PhysicsEngine.addForceField), drawn in the scene and
+    // listed in the physics panel
+    addForceField(field) {
+        const added = this.physicsEngine ? this.physicsEngine.addForceField(field) : null;
+        if (added) {
+            this.refreshForceFields();
+        }
+        return added;
+    }
+    
+    // The panel keeps its inputs while a field is edited, only the gizmos are redrawn
+    updateForceField(id, changes) {
+        const updated = this.physicsEngine ? this.physicsEngine.updateForceField(id, changes) : null;
+        if (updated && this.renderer) {
+            this.renderer.setForceFields(this.physicsEngine.getForceFields());
+        }
+        return updated;
+    }
+    
+    removeForceField(id) {
+        if (!this.physicsEngine || !this.physicsEngine.removeForceField(id)) return false;
+        
+        this.refreshForceFields();
+        return true;
+    }
+    
+    refreshForceFields() {
+        const fields = this.physicsEngine.getForceFields();
+        this.forceFieldActivity = fields.map(field => (field.active ? '1' : '0')).join('');
+        
+        if (this.renderer) {
+            this.renderer.setForceFields(fields);
+        }
+        if (this.uiController) {
+            this.uiController.renderForceFields(fields);
+        }
+    }
+    
+    // Timed explosions switch on and off as the simulation runs or resets
+    updateForceFieldActivity() {
+        const engine = this.physicsEngine;
+        const activity = engine.forceFields.map(field => (engine.isForceFieldActive(field) ? '1' : '0')).join('');
+        if (activity === this.forceFieldActivity) return;
+        
+        const fields = engine.getForceFields();
+        this.forceFieldActivity = activity;
+        this.renderer.setForceFields(fields);
+        if (this.uiController) {
+            this.uiController.updateForceFieldStatus(fields);
+        }
     }
     
     getMeshData() {
@@ -392,6 +652,69 @@ class MeshVisualizerApp {
         if (this.renderer) {
             this.renderer.updateConfig(config);
         }
+        
+        if (config.colorScheme && this.physicsEngine) {
+            this.updateVelocityRequest();
+            if (this.recorder && this.recorder.playback) {
+                this.showRecordedFrame(this.recorder.positionBuffer);
+            } else {
+                this.updateAnalysis();
+            }
+        }
+    }
+    
+    // A worker engine sends velocities back only while a colour scheme shows them or a recording keeps them
+    updateVelocityRequest() {
+        if (!this.physicsEngine || typeof this.physicsEngine.requestVelocities !== 'function') return;
+        
+        const scheme = typeof PhysicsAnalysis !== 'undefined' && this.renderer
+            ? PhysicsAnalysis.SCHEMES[this.renderer.config.colorScheme]
+            : null;
+        const recording = Boolean(this.recorder && this.recorder.recording);
+        this.physicsEngine.requestVelocities(recording || Boolean(scheme && scheme.velocities));
+    }
+    
+    // Recompute the values behind an analysis colour scheme (see PhysicsAnalysis) and recolour
+    // the body. Runs after every physics step, reset and posing change. source is the engine,
+    // or a view of it holding a recorded frame during playback.
+    updateAnalysis(source = this.physicsEngine) {
+        if (!this.renderer || !source || !this.renderer.isAnalysisScheme()) return;
+        
+        const scheme = this.renderer.config.colorScheme;
+        this.analysisValues = PhysicsAnalysis.compute(scheme, source, this.analysisValues);
+        this.renderer.setAnalysisValues(this.analysisValues, source.springA, source.springB);
+    }
+    
+    // Fit the legend of the shown analysis scheme to the current values. Strain and tension
+    // stay centred on zero so compression and elongation keep their colours. Returns the
+    // range, or null.
+    fitAnalysisRange() {
+        const values = this.analysisValues;
+        if (!this.renderer || !values || values.scheme !== this.renderer.config.colorScheme) return null;
+        
+        let { min, max } = PhysicsAnalysis.extent(values.spring || values.vertex);
+        if (PhysicsAnalysis.SCHEMES[values.scheme].palette === 'diverging') {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+        if (!(max > min)) return null;
+        
+        this.renderer.setAnalysisRange(values.scheme, min, max);
+        return { min, max };
+    }
+    
+    // Physics runs in a Web Worker when the browser supports it; ?physics=main keeps it on the main thread
+    createPhysicsEngine() {
+        const params = new URLSearchParams(window.location.search);
+        
+        if (typeof Worker !== 'undefined' && typeof WorkerPhysicsEngine !== 'undefined' && params.get('physics') !== 'main') {
+            try {
+                return new WorkerPhysicsEngine();
+            } catch (error) {
+                console.warn('Physics worker unavailable, simulating on the main thread:', error);
+            }
+        }
+        return new PhysicsEngine();
     }
     
     startPhysicsLoop() {
@@ -408,39 +731,26 @@ class MeshVisualizerApp {
             const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
             this.lastTime = currentTime;
             
-            // Clamp delta time to prevent large jumps
-            const clampedDeltaTime = Math.min(deltaTime, 0.1);
-            
             // Update physics if engine is enabled
-            if (this.physicsEngine && this.physicsEngine.enabled && this.renderer) {
+            // Interactive posing owns the vertices while a drag or pose transition is in progress
+            if (this.physicsEngine && this.physicsEngine.enabled && this.renderer && !this.renderer.isInteracting()) {
                 try {
-                    const updatedPositions = this.physicsEngine.update(clampedDeltaTime);
+                    // The engine runs fixed steps and caps how many it catches up on after a long frame.
+                    // It hands back the packed positions of the latest finished step, in vertex order,
+                    // or null when no step finished. Surface, wireframe, skeleton and joints all follow.
+                    const positions = this.physicsEngine.update(deltaTime); // Also captured while recording
+                    if (positions && this.renderer.vertices) {
+                        this.renderer.setVertexPositions(positions);
+                        this.updateAnalysis();
+                    }
                     
-                    // Update mesh positions in renderer
-                    if (updatedPositions && this.renderer.vertexMap) {
-                        updatedPositions.forEach(vertexData => {
-                            const vertex = this.renderer.vertexMap[vertexData.id];
-                            if (vertex) {
-                                vertex.position.set(
-                                    vertexData.position.x,
-                                    vertexData.position.y,
-                                    vertexData.position.z
-                                );
-                            }
-                        });
-                        
-                        // Update mesh geometry if needed
-                        if (this.renderer.mesh && this.renderer.mesh.geometry) {
-                            const positions = this.renderer.mesh.geometry.attributes.position;
-                            if (positions) {
-                                this.renderer.vertices.forEach((vertex, i) => {
-                                    positions.array[i * 3] = vertex.position.x;
-                                    positions.array[i * 3 + 1] = vertex.position.y;
-                                    positions.array[i * 3 + 2] = vertex.position.z;
-                                });
-                                positions.needsUpdate = true;
-                            }
-                        }
+                    this.renderer.setGrabForce(this.physicsEngine.getGrabForce());
+                    
+                    // Warn about joints pushed against their range of motion
+                    const limitedJoints = this.physicsEngine.getJointsAtLimit();
+                    this.renderer.setJointLimitWarnings(limitedJoints);
+                    if (this.uiController) {
+                        this.uiController.updateJointLimitStatus(limitedJoints);
                     }
                 } catch (error) {
                     console.error('Error in physics loop:', error);
@@ -448,6 +758,15 @@ class MeshVisualizerApp {
                 }
             }
             
+            // Playback drives the renderer from the recording while physics is off
+            if (this.recorder && this.recorder.playback && this.renderer) {
+                this.recorder.update(deltaTime);
+            }
+            
+            if (this.physicsEngine && this.renderer) {
+                this.updateForceFieldActivity();
+            }
+            
             this.animationLoopId = requestAnimationFrame(physicsLoop);
         };
         
@@ -455,9 +774,122 @@ class MeshVisualizerApp {
         this.animationLoopId = requestAnimationFrame(physicsLoop);
     }
     
+    setPose(pose) {
+        if (!this.renderer || !this.renderer.setPose(pose)) {
+            return false;
+        }
+        
+        // Each pose scales how strongly gravity acts on the body
+        const poseData = this.meshData?.animation?.poses?.[pose];
+        const gravityEffect = poseData && typeof poseData.gravityEffect === 'number' ? poseData.gravityEffect : 1;
+        if (this.physicsEngine) {
+            this.physicsEngine.setGravityScale(gravityEffect);
+        }
+        
+        return true;
+    }
+    
+    // Copy renderer vertex positions into the physics masses after posing
+    syncPhysicsPositions(vertexIds) {
+        if (!this.physicsEngine || !this.renderer || !this.renderer.vertexMap) return;
+        
+        vertexIds.forEach(id => {
+            const vertex = this.renderer.vertexMap[id];
+            if (vertex) {
+                this.physicsEngine.setMassPosition(id, vertex.position);
+            }
+        });
+        this.updateAnalysis();
+    }
+    
+    // Record what the simulation produces from now on, or stop the recording in progress
+    toggleRecording() {
+        if (!this.recorder || !this.physicsEngine) return false;
+        
+        if (this.recorder.recording) {
+            this.recorder.stop();
+            this.updateVelocityRequest();
+            if (this.uiController) {
+                const frames = this.recorder.frames.length;
+                this.uiController.showNotification(`Recorded ${frames} frames (${this.recorder.getDuration().toFixed(2)}s)`, 'success');
+            }
+            return false;
+        }
+        
+        this.stopPlayback();
+        this.recorder.start(this.physicsEngine);
+        this.updateVelocityRequest();
+        
+        if (this.uiController) {
+            this.uiController.showNotification(this.physicsEngine.enabled
+                ? 'Recording physics'
+                : 'Recording - enable physics to capture frames', 'info');
+        }
+        return true;
+    }
+    
+    // Replay the recording instead of simulating; physics stays off until playback ends
+    startPlayback() {
+        if (!this.recorder || !this.recorder.frames.length) {
+            if (this.uiController) {
+                this.uiController.showNotification('Record a physics run first', 'warning');
+            }
+            return false;
+        }
+        
+        if (this.recorder.recording) {
+            this.toggleRecording();
+        }
+        if (this.physicsEngine.enabled) {
+            this.togglePhysics();
+        }
+        return this.recorder.startPlayback();
+    }
+    
+    // Back to the live simulation state
+    stopPlayback() {
+        if (!this.recorder || !this.recorder.stopPlayback()) return false;
+        
+        if (this.renderer && this.renderer.vertices && this.physicsEngine) {
+            this.renderer.setVertexPositions(this.physicsEngine.positions);
+            this.updateAnalysis();
+        }
+        return true;
+    }
+    
+    // Time series of the recording for the named vertices and groups (see PhysicsExport).
+    // A recording in progress is finished first. Throws on unknown names.
+    exportRecording(format, selection = []) {
+        if (!this.recorder || typeof PhysicsExport === 'undefined') return null;
+        
+        if (this.recorder.recording) {
+            this.toggleRecording();
+        }
+        return PhysicsExport.export(this.recorder, format, selection);
+    }
+    
+    // Show a recorded frame; analysis colours read it through a view of the engine
+    showRecordedFrame(positions) {
+        if (!this.renderer || !this.renderer.vertices || !positions) return;
+        
+        this.renderer.setVertexPositions(positions);
+        
+        if (this.renderer.isAnalysisScheme()) {
+            const frame = Object.create(this.physicsEngine);
+            frame.positions = positions;
+            frame.velocities = this.recorder.velocityBuffer;
+            this.updateAnalysis(frame);
+        }
+    }
+    
     togglePhysics() {
         if (this.physicsEngine) {
-            this.physicsEngine.enabled = !this.physicsEngine.enabled;
+            if (this.physicsEngine.enabled) {
+                this.physicsEngine.disable();
+            } else {
+                this.stopPlayback();
+                this.physicsEngine.enable();
+            }
             
             const status = this.physicsEngine.enabled ? 'enabled' : 'disabled';
             
@@ -478,6 +910,7 @@ class MeshVisualizerApp {
     
     resetPhysics() {
         if (this.physicsEngine) {
+            this.stopPlayback();
             this.physicsEngine.reset();
             
             // Update mesh positions in renderer
@@ -492,22 +925,14 @@ class MeshVisualizerApp {
                     });
                 }
                 
-                // Update mesh geometry
-                if (this.renderer.mesh && this.renderer.mesh.geometry) {
-                    const positions = this.renderer.mesh.geometry.attributes.position;
-                    if (positions) {
-                        this.renderer.vertices.forEach((vertex, i) => {
-                            positions.array[i * 3] = vertex.position.x;
-                            positions.array[i * 3 + 1] = vertex.position.y;
-                            positions.array[i * 3 + 2] = vertex.position.z;
-                        });
-                        positions.needsUpdate = true;
-                    }
-                }
+                this.renderer.updateDeformation();
+                this.renderer.setJointLimitWarnings([]);
+                this.updateAnalysis();
             }
             
             // Show notification
             if (this.uiController) {
+                this.uiController.updateJointLimitStatus([]);
                 this.uiController.showNotification('Physics reset to initial state', 'success');
             }
             
@@ -562,32 +987,156 @@ class MeshVisualizerApp {
             this.renderer.dispose();
         }
         
+        // Stop the physics worker
+        if (this.physicsEngine && typeof this.physicsEngine.dispose === 'function') {
+            this.physicsEngine.dispose();
+        }
+        
         console.log('Application cleaned up');
     }
     
-    // Utility method to export current state
-    exportState() {
-        const state = {
+    // Everything needed to pick up where the user left off: the mesh itself, the simulation
+    // state (deformed positions, velocities, pins, clock), physics settings, loads and force
+    // fields, renderer config, camera, pose, selected vertex and timeline keyframes. Plain JSON,
+    // see restoreState. Async because a worker engine is asked for its exact state; during
+    // playback the live simulation is saved, not the recorded frame on show.
+    async exportState() {
+        if (!this.meshData || !this.physicsEngine || !this.renderer) return null;
+        
+        const engine = this.physicsEngine;
+        const simulation = typeof engine.requestSimulationState === 'function'
+            ? await engine.requestSimulationState()
+            : engine.getSimulationState();
+        const selected = this.renderer.highlightedVertex;
+        
+        return {
+            format: MeshVisualizerApp.SESSION_FORMAT,
+            version: MeshVisualizerApp.SESSION_VERSION,
             timestamp: new Date().toISOString(),
-            meshData: this.meshData ? {
-                vertices: this.meshData.vertices.length,
-                edges: this.meshData.edges.length,
-                metadata: this.meshData.metadata
-            } : null,
-            physics: this.physicsEngine ? this.physicsEngine.getPhysicsData() : null,
-            renderer: this.renderer ? {
-                config: this.renderer.config,
-                statistics: {
-                    vertices: this.renderer.vertices ? this.renderer.vertices.length : 0,
-                    edges: this.renderer.edges ? this.renderer.edges.length : 0
-                }
-            } : null
+            source: this.meshLoader.source,
+            meshData: this.meshData,
+            physics: engine.getPhysicsData(),
+            simulation,
+            loads: engine.getLoads(),
+            forceFields: engine.getForceFields(),
+            renderer: {
+                config: { ...this.renderer.config },
+                analysisRanges: this.renderer.analysisRanges,
+                camera: this.renderer.getCameraState(),
+                pose: this.renderer.currentPose,
+                selectedVertex: selected ? selected.id : null
+            },
+            timeline: this.renderer.timeline ? this.renderer.timeline.toJSON() : null
         };
+    }
+    
+    // Restore a session file (see restoreState), reporting problems the way loadMesh does.
+    // The current scene stays when the file cannot be restored.
+    async importState(file) {
+        let session;
+        try {
+            session = JSON.parse(await file.text());
+        } catch (error) {
+            this.uiController.showNotification(`${file.name} is not valid JSON: ${error.message}`, 'error');
+            return false;
+        }
+        
+        const previousData = this.meshData;
+        const previousSource = this.meshLoader.source;
+        try {
+            this.restoreState(session);
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            if (this.meshData !== previousData) {
+                this.meshLoader.source = previousSource;
+                this.applyMeshData(previousData);
+            }
+            if (error.problems) {
+                this.showError(`Could not restore ${file.name}: ${error.message}`, error.problems);
+            } else {
+                this.uiController.showNotification(`Could not restore ${file.name}: ${error.message}`, 'error');
+            }
+            return false;
+        }
         
-        return state;
+        this.uiController.showNotification(`Restored session from ${file.name}`, 'success');
+        this.reportMeshWarnings();
+        return true;
+    }
+    
+    // Rebuild the scene from an exportState session. The mesh is replaced by the one saved
+    // with the session, so nothing of the current scene is kept. Throws on anything that is
+    // not a session this version can read, before the scene is touched.
+    restoreState(session) {
+        if (!session || session.format !== MeshVisualizerApp.SESSION_FORMAT || !session.meshData) {
+            throw new Error('Not a saved session');
+        }
+        if (session.version > MeshVisualizerApp.SESSION_VERSION) {
+            throw new Error(`Session version ${session.version} is newer than this viewer supports`);
+        }
+        
+        const meshData = this.meshLoader.prepare(session.meshData);
+        this.meshLoader.source = session.source || 'session';
+        this.applyMeshData(meshData);
+        
+        // Settings first, then the state they produced
+        const engine = this.physicsEngine;
+        const physics = session.physics || {};
+        if (Number.isFinite(physics.gravity)) engine.setGravity(physics.gravity);
+        if (Number.isFinite(physics.gravityScale)) engine.setGravityScale(physics.gravityScale);
+        if (Number.isFinite(physics.damping)) engine.setDamping(physics.damping);
+        if (Number.isFinite(physics.stiffness)) engine.setStiffness(physics.stiffness);
+        if (Number.isFinite(physics.substeps)) engine.setSubsteps(physics.substeps);
+        if (physics.integrator) engine.setIntegrator(physics.integrator);
+        if (typeof physics.collisionDetection === 'boolean') engine.setCollisionDetection(physics.collisionDetection);
+        engine.setForceFields(session.forceFields || []); // Same ids, later edits still find them
+        (session.loads || []).forEach(load => engine.setLoad(load.id, load.force));
+        engine.setSimulationState(session.simulation);
+        if (physics.enabled) {
+            engine.enable();
+        } else {
+            engine.disable();
+        }
+        
+        const view = session.renderer || {};
+        if (view.config) {
+            this.updateConfig(view.config);
+        }
+        Object.entries(view.analysisRanges || {}).forEach(([scheme, range]) => {
+            this.renderer.setAnalysisRange(scheme, range.min, range.max);
+        });
+        this.renderer.setCameraState(view.camera);
+        if (view.config && view.config.lodLevel) {
+            this.renderer.setLODLevel(view.config.lodLevel);
+        }
+        if (view.pose) {
+            this.renderer.restorePose(view.pose);
+        }
+        if (session.timeline && this.renderer.timeline) {
+            this.renderer.timeline.fromJSON(session.timeline);
+        }
+        
+        this.renderer.setVertexPositions(engine.positions);
+        this.renderer.setPinnedVertices(engine.getFixedMassIds());
+        this.renderer.setLoadArrows(engine.getLoads());
+        this.refreshForceFields();
+        this.updateAnalysis();
+        
+        const selected = view.selectedVertex && this.renderer.vertexMap[view.selectedVertex];
+        if (selected) {
+            this.renderer.highlightVertex(selected);
+        }
+        
+        this.uiController.syncControls();
+        this.updateStatusBar();
+        return true;
     }
 }
 
+// Saved sessions carry this format name; the version goes up when old sessions need converting
+MeshVisualizerApp.SESSION_FORMAT = 'neural-3d-avatar-session';
+MeshVisualizerApp.SESSION_VERSION = 1;
+
 // Start application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     try {
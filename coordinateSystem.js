@@ -0,0 +1,149 @@
+// Brings loaded meshes into the viewer's world: right-handed, Y up.
+// metadata.upAxis names the file's up direction (+x, -x, +y, -y, +z, -z, default +y) and
+// metadata.handedness its handedness (right or left, default right). Vertices, hinge axes,
+// pose rotations, the bounding box and a numeric ground level are all converted, so
+// renderer, physics and poses see the same Y-up data.
+class CoordinateSystem {
+    // Matrix (rows) taking file coordinates to world coordinates
+    static getTransform(metadata = {}) {
+        const upAxis = metadata.upAxis || '+y';
+        const handedness = metadata.handedness || 'right';
+        
+        const rotation = CoordinateSystem.UP_AXIS_ROTATIONS[upAxis];
+        if (!rotation) {
+            throw new Error(`Unknown upAxis "${upAxis}", expected one of ${Object.keys(CoordinateSystem.UP_AXIS_ROTATIONS).join(', ')}`);
+        }
+        if (!CoordinateSystem.HANDEDNESS.includes(handedness)) {
+            throw new Error(`Unknown handedness "${handedness}", expected one of ${CoordinateSystem.HANDEDNESS.join(', ')}`);
+        }
+        
+        // Left-handed files are mirrored front to back once up points along +y
+        if (handedness === 'left') {
+            return rotation.map((row, i) => i === 2 ? row.map(value => -value) : row);
+        }
+        return rotation;
+    }
+    
+    static isIdentity(matrix) {
+        return matrix.every((row, i) => row.every((value, j) => value === (i === j ? 1 : 0)));
+    }
+    
+    static apply(matrix, [x, y, z]) {
+        return matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+    }
+    
+    static determinant(m) {
+        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    }
+    
+    // Copy of meshData in world coordinates. Meshes already in Y-up right-handed form are
+    // returned as they are.
+    static normalize(meshData) {
+        const matrix = CoordinateSystem.getTransform(meshData.metadata);
+        if (CoordinateSystem.isIdentity(matrix)) return meshData;
+        
+        const result = JSON.parse(JSON.stringify(meshData));
+        const point = (values) => CoordinateSystem.apply(matrix, values);
+        
+        // Axes of rotation flip with a mirror, unlike positions
+        const sign = CoordinateSystem.determinant(matrix);
+        const axial = (values) => point(values).map(value => value * sign);
+        
+        result.vertices.forEach(vertex => {
+            [vertex.x, vertex.y, vertex.z] = point([vertex.x, vertex.y, vertex.z]);
+        });
+        
+        Object.values(result.animation?.jointLimits || {}).forEach(limit => {
+            if (Array.isArray(limit.axis)) {
+                limit.axis = axial(limit.axis);
+            }
+        });
+        
+        Object.values(result.animation?.poses || {}).forEach(pose => {
+            Object.keys(pose.rotations || {}).forEach(jointId => {
+                pose.rotations[jointId] = CoordinateSystem.transformRotation(pose.rotations[jointId], matrix, sign);
+            });
+        });
+        
+        const boundingBox = result.metadata.boundingBox;
+        if (boundingBox?.min && boundingBox?.max) {
+            const a = point(boundingBox.min);
+            const b = point(boundingBox.max);
+            boundingBox.min = a.map((value, i) => Math.min(value, b[i]));
+            boundingBox.max = a.map((value, i) => Math.max(value, b[i]));
+            if (boundingBox.center) {
+                boundingBox.center = point(boundingBox.center);
+            }
+        }
+        
+        // A numeric ground level is a height along the file's up axis
+        if (typeof result.physics?.groundLevel === 'number') {
+            const upAxis = meshData.metadata.upAxis || '+y';
+            result.physics.groundLevel *= upAxis[0] === '-' ? -1 : 1;
+        }
+        
+        result.metadata.upAxis = '+y';
+        result.metadata.handedness = 'right';
+        return result;
+    }
+    
+    // Euler rotation in degrees (XYZ order, world axes) seen from the new coordinates:
+    // the quaternion's vector part turns like an axis of rotation.
+    static transformRotation(rotation, matrix, sign) {
+        const toRadians = Math.PI / 180;
+        const [hx, hy, hz] = [(rotation.x || 0) * toRadians / 2, (rotation.y || 0) * toRadians / 2, (rotation.z || 0) * toRadians / 2];
+        const [c1, c2, c3] = [Math.cos(hx), Math.cos(hy), Math.cos(hz)];
+        const [s1, s2, s3] = [Math.sin(hx), Math.sin(hy), Math.sin(hz)];
+        
+        const w = c1 * c2 * c3 - s1 * s2 * s3;
+        const vector = [
+            s1 * c2 * c3 + c1 * s2 * s3,
+            c1 * s2 * c3 - s1 * c2 * s3,
+            c1 * c2 * s3 + s1 * s2 * c3
+        ];
+        const [x, y, z] = CoordinateSystem.apply(matrix, vector).map(value => value * sign);
+        
+        // Back to XYZ Euler angles through the rotation matrix elements
+        const m11 = 1 - 2 * (y * y + z * z);
+        const m12 = 2 * (x * y - w * z);
+        const m13 = 2 * (x * z + w * y);
+        const m22 = 1 - 2 * (x * x + z * z);
+        const m23 = 2 * (y * z - w * x);
+        const m32 = 2 * (y * z + w * x);
+        const m33 = 1 - 2 * (x * x + y * y);
+        
+        const angleY = Math.asin(Math.max(-1, Math.min(1, m13)));
+        let angleX, angleZ;
+        if (Math.abs(m13) < 0.9999999) {
+            angleX = Math.atan2(-m23, m33);
+            angleZ = Math.atan2(-m12, m11);
+        } else {
+            angleX = Math.atan2(m32, m22);
+            angleZ = 0;
+        }
+        
+        // Drop float noise so the data stays readable, and avoid -0
+        const degrees = (angle) => Math.round(angle / toRadians * 1e6) / 1e6 + 0;
+        return { x: degrees(angleX), y: degrees(angleY), z: degrees(angleZ) };
+    }
+}
+
+// Proper rotations taking each up direction to +y, keeping the front of a figure facing +z
+// where the axes allow it
+CoordinateSystem.UP_AXIS_ROTATIONS = {
+    '+y': [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    '-y': [[-1, 0, 0], [0, -1, 0], [0, 0, 1]], // Half turn about z
+    '+z': [[1, 0, 0], [0, 0, 1], [0, -1, 0]], // Quarter turn about x, -y becomes the front
+    '-z': [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+    '+x': [[0, -1, 0], [1, 0, 0], [0, 0, 1]], // Quarter turn about z
+    '-x': [[0, 1, 0], [-1, 0, 0], [0, 0, 1]]
+};
+
+CoordinateSystem.HANDEDNESS = ['right', 'left'];
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoordinateSystem;
+}
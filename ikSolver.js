@@ -0,0 +1,210 @@
+class IKSolver {
+    constructor() {
+        this.enabled = true;
+        this.iterations = 12;
+        this.tolerance = 0.01;
+        
+        this.chains = [];
+        this.effectorMap = {}; // End effector id -> chain
+        this.vertices = [];
+        this.vertexMap = {};
+    }
+    
+    init(meshData, vertices, vertexMap) {
+        if (!meshData) return;
+        
+        this.vertices = vertices;
+        this.vertexMap = vertexMap;
+        this.chains = [];
+        this.effectorMap = {};
+        
+        // Mesh files can opt out of IK entirely
+        this.enabled = meshData.metadata?.biomechanical?.inverseKinematics !== false;
+        
+        const chainData = meshData.animation?.ikChains || IKSolver.DEFAULT_CHAINS;
+        
+        Object.entries(chainData).forEach(([name, data]) => {
+            // Skip chains whose joints are not part of this mesh
+            const missing = data.joints.filter(id => !vertexMap[id]);
+            if (data.joints.length < 2 || missing.length > 0) {
+                console.warn(`IK chain ${name} skipped, missing joints:`, missing);
+                return;
+            }
+            
+            const chain = {
+                name,
+                joints: data.joints.slice(),
+                groups: data.groups || [],
+                lengths: [],
+                restPositions: [],
+                bindings: []
+            };
+            
+            this.chains.push(chain);
+            this.effectorMap[chain.joints[chain.joints.length - 1]] = chain;
+        });
+        
+        console.log('IK solver initialized with', this.chains.length, 'chains');
+    }
+    
+    getChainForEffector(vertexId) {
+        if (!this.enabled) return null;
+        return this.effectorMap[vertexId] || null;
+    }
+    
+    isEffector(vertexId) {
+        return this.getChainForEffector(vertexId) !== null;
+    }
+    
+    // Capture the current pose of a chain so the solve can carry surface vertices along
+    bindChain(chain) {
+        const positions = this.getJointPositions(chain);
+        
+        chain.restPositions = positions.map(p => p.clone());
+        chain.lengths = [];
+        for (let i = 0; i < positions.length - 1; i++) {
+            chain.lengths.push(positions[i].distanceTo(positions[i + 1]));
+        }
+        
+        chain.bindings = this.createBindings(chain, chain.restPositions, vertex => vertex.position);
+    }
+    
+    // Attach every surface vertex of the chain's groups to its nearest bone.
+    // jointPositions and getPosition describe the pose the offsets are taken in.
+    createBindings(chain, jointPositions, getPosition) {
+        const bindings = [];
+        
+        this.vertices.forEach(vertex => {
+            if (!chain.groups.includes(vertex.group) || chain.joints.includes(vertex.id)) return;
+            
+            const position = getPosition(vertex);
+            const bone = this.findNearestBone(jointPositions, position);
+            bindings.push({
+                vertex,
+                bone,
+                offset: position.clone().sub(jointPositions[bone])
+            });
+        });
+        
+        return bindings;
+    }
+    
+    findNearestBone(jointPositions, point) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        const segment = new THREE.Line3();
+        const closest = new THREE.Vector3();
+        
+        for (let i = 0; i < jointPositions.length - 1; i++) {
+            segment.set(jointPositions[i], jointPositions[i + 1]);
+            segment.closestPointToPoint(point, true, closest);
+            
+            const distance = closest.distanceTo(point);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = i;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    getJointPositions(chain) {
+        return chain.joints.map(id => this.vertexMap[id].position);
+    }
+    
+    // FABRIK solve moving the chain's end effector towards target (root stays put)
+    solve(chain, target) {
+        if (chain.lengths.length === 0) {
+            this.bindChain(chain);
+        }
+        
+        const joints = this.getJointPositions(chain);
+        const lengths = chain.lengths;
+        const last = joints.length - 1;
+        const root = joints[0].clone();
+        const direction = new THREE.Vector3();
+        
+        const reach = lengths.reduce((sum, length) => sum + length, 0);
+        
+        if (root.distanceTo(target) >= reach) {
+            // Target out of reach - stretch the chain straight towards it
+            for (let i = 0; i < last; i++) {
+                direction.subVectors(target, joints[i]).normalize();
+                joints[i + 1].copy(joints[i]).addScaledVector(direction, lengths[i]);
+            }
+        } else {
+            for (let iteration = 0; iteration < this.iterations; iteration++) {
+                // Backward pass: pin the effector to the target
+                joints[last].copy(target);
+                for (let i = last - 1; i >= 0; i--) {
+                    direction.subVectors(joints[i], joints[i + 1]).normalize();
+                    joints[i].copy(joints[i + 1]).addScaledVector(direction, lengths[i]);
+                }
+                
+                // Forward pass: pin the root back in place
+                joints[0].copy(root);
+                for (let i = 0; i < last; i++) {
+                    direction.subVectors(joints[i + 1], joints[i]).normalize();
+                    joints[i + 1].copy(joints[i]).addScaledVector(direction, lengths[i]);
+                }
+                
+                if (joints[last].distanceTo(target) < this.tolerance) break;
+            }
+        }
+        
+        this.applyBindings(chain);
+    }
+    
+    // Rotate bound surface vertices with their bone
+    applyBindings(chain) {
+        const joints = this.getJointPositions(chain);
+        const restDirection = new THREE.Vector3();
+        const newDirection = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const boneRotations = [];
+        
+        for (let i = 0; i < joints.length - 1; i++) {
+            restDirection.subVectors(chain.restPositions[i + 1], chain.restPositions[i]).normalize();
+            newDirection.subVectors(joints[i + 1], joints[i]).normalize();
+            boneRotations.push(rotation.setFromUnitVectors(restDirection, newDirection).clone());
+        }
+        
+        chain.bindings.forEach(binding => {
+            binding.vertex.position
+                .copy(binding.offset)
+                .applyQuaternion(boneRotations[binding.bone])
+                .add(joints[binding.bone]);
+        });
+    }
+    
+    // Vertex ids moved by a solve of this chain
+    getAffectedVertexIds(chain) {
+        return chain.joints.concat(chain.bindings.map(binding => binding.vertex.id));
+    }
+}
+
+// Limb chains for the default avatar, used when the mesh file defines none
+IKSolver.DEFAULT_CHAINS = {
+    arm_left: {
+        joints: ['arm_left_shoulder', 'arm_left_elbow', 'arm_left_wrist', 'hand_left_palm'],
+        groups: ['arm_left', 'hand_left']
+    },
+    arm_right: {
+        joints: ['arm_right_shoulder', 'arm_right_elbow', 'arm_right_wrist', 'hand_right_palm'],
+        groups: ['arm_right', 'hand_right']
+    },
+    leg_left: {
+        joints: ['leg_left_hip', 'leg_left_knee', 'leg_left_ankle', 'foot_left_heel'],
+        groups: ['leg_left', 'foot_left']
+    },
+    leg_right: {
+        joints: ['leg_right_hip', 'leg_right_knee', 'leg_right_ankle', 'foot_right_heel'],
+        groups: ['leg_right', 'foot_right']
+    }
+};
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IKSolver;
+}
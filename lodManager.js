@@ -0,0 +1,139 @@
+class LODManager {
+    constructor() {
+        this.levels = []; // Sorted by distance: { detail, distance, ratio, pointIndices, edgeIndices, triangleIndices, ... }
+        this.vertices = [];
+    }
+    
+    // Build a simplified version of the vertex/edge graph for every level.
+    // triangulate turns polygons (arrays of vertices) into triangle indices.
+    init(meshData, vertices, edges, faces, triangulate) {
+        this.vertices = vertices;
+        this.levels = [];
+        
+        const levelData = meshData?.rendering?.lodLevels || LODManager.DEFAULT_LEVELS;
+        const indexOf = new Map(vertices.map((vertex, i) => [vertex, i]));
+        
+        levelData.forEach(data => {
+            const ratio = data.vertices === 'all' ? 1 : Math.max(0, Math.min(1, Number(data.vertices) || 1));
+            const representative = this.simplify(vertices, edges, ratio);
+            
+            const kept = vertices.filter(vertex => representative(vertex) === vertex);
+            
+            // Re-link edges to the surviving vertices, dropping collapsed and duplicate ones
+            const edgeIndices = [];
+            const seen = new Set();
+            edges.forEach(edge => {
+                const a = indexOf.get(representative(edge.v1));
+                const b = indexOf.get(representative(edge.v2));
+                const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+                if (a === b || seen.has(key)) return;
+                seen.add(key);
+                edgeIndices.push(a, b);
+            });
+            
+            // Faces keep their surviving corners; faces collapsed below a triangle disappear
+            const simplifiedFaces = [];
+            faces.forEach(face => {
+                const corners = [];
+                face.forEach(vertex => {
+                    const corner = representative(vertex);
+                    if (!corners.includes(corner)) corners.push(corner);
+                });
+                if (corners.length >= 3) simplifiedFaces.push(corners);
+            });
+            const triangleIndices = triangulate(simplifiedFaces);
+            
+            this.levels.push({
+                detail: data.detail,
+                distance: data.distance || 0,
+                ratio,
+                description: data.description || data.detail,
+                pointIndices: kept.map(vertex => indexOf.get(vertex)),
+                edgeIndices,
+                triangleIndices,
+                vertexCount: kept.length,
+                edgeCount: edgeIndices.length / 2,
+                triangleCount: triangleIndices.length / 3
+            });
+        });
+        
+        this.levels.sort((a, b) => a.distance - b.distance);
+        
+        console.log('LOD levels built:', this.levels.map(level => `${level.detail} (${level.vertexCount} vertices)`).join(', '));
+    }
+    
+    // Greedy edge collapse down to ratio of the vertices. Joints are never removed and
+    // vertices only merge within their own group, so every group stays present and connected.
+    // Returns a function mapping each vertex to the vertex that represents it at this level.
+    simplify(vertices, edges, ratio) {
+        const parent = new Map(vertices.map(vertex => [vertex, vertex]));
+        const find = (vertex) => {
+            while (parent.get(vertex) !== vertex) {
+                vertex = parent.get(vertex);
+            }
+            return vertex;
+        };
+        
+        const target = Math.ceil(vertices.length * ratio);
+        let remaining = vertices.length;
+        
+        // Shortest edges collapse first
+        const candidates = edges.slice().sort((a, b) => a.length - b.length);
+        
+        while (remaining > target) {
+            // Each vertex takes part in at most one collapse per pass to keep the decimation even
+            const touched = new Set();
+            
+            for (const edge of candidates) {
+                if (remaining <= target) break;
+                
+                const a = find(edge.v1);
+                const b = find(edge.v2);
+                if (a === b || a.group !== b.group || touched.has(a) || touched.has(b)) continue;
+                
+                const removable = [a, b].filter(vertex => vertex.type !== 'joint');
+                if (removable.length === 0) continue;
+                
+                // Lighter vertices go first
+                const removed = removable.length === 2 ? (a.weight <= b.weight ? a : b) : removable[0];
+                const survivor = removed === a ? b : a;
+                
+                parent.set(removed, survivor);
+                touched.add(a);
+                touched.add(b);
+                remaining--;
+            }
+            
+            if (touched.size === 0) break; // Nothing left that can collapse
+        }
+        
+        return find;
+    }
+    
+    getLevel(detail) {
+        return this.levels.find(level => level.detail === detail) || null;
+    }
+    
+    // Most simplified level whose distance threshold the camera has passed
+    getLevelForDistance(distance) {
+        let selected = this.levels[0] || null;
+        this.levels.forEach(level => {
+            if (distance >= level.distance) {
+                selected = level;
+            }
+        });
+        return selected;
+    }
+}
+
+// Levels used when the mesh file defines none
+LODManager.DEFAULT_LEVELS = [
+    { distance: 0, detail: 'high', vertices: 'all', description: 'Full detail' },
+    { distance: 300, detail: 'medium', vertices: 0.7, description: 'Medium detail (70% vertices)' },
+    { distance: 420, detail: 'low', vertices: 0.4, description: 'Low detail (40% vertices)' }
+];
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LODManager;
+}
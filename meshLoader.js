@@ -0,0 +1,90 @@
+class MeshLoader {
+    constructor() {
+        this.source = null; // Name of the file or URL the current mesh came from
+        this.validator = new MeshValidator();
+        this.warnings = []; // Validation warnings of the last mesh checked
+    }
+    
+    // Mesh URL from the ?mesh= query parameter, or the bundled mesh
+    getInitialSource() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('mesh') || MeshLoader.DEFAULT_SOURCE;
+    }
+    
+    async loadFromUrl(url) {
+        const response = await fetch(url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const meshData = this.prepare(await response.json());
+        this.source = url;
+        return meshData;
+    }
+    
+    async loadFromFile(file) {
+        const text = await file.text();
+        
+        let meshData;
+        try {
+            meshData = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+        }
+        
+        meshData = this.prepare(meshData);
+        this.source = file.name;
+        return meshData;
+    }
+    
+    // Validate, then bring the mesh into the Y-up world the viewer and physics use
+    prepare(meshData) {
+        return CoordinateSystem.normalize(this.validate(meshData));
+    }
+    
+    // Throws when the mesh cannot be used; error.problems lists every problem with its location
+    validate(meshData) {
+        const report = this.validator.validate(meshData);
+        
+        this.warnings = report.warnings;
+        report.warnings.forEach(problem => {
+            console.warn(`Mesh data warning at ${problem.location}: ${problem.message}`);
+        });
+        
+        if (report.errors.length > 0) {
+            const count = report.errors.length;
+            const error = new Error(`Invalid mesh data: ${count} problem${count === 1 ? '' : 's'} found`);
+            error.problems = report.errors.concat(report.warnings);
+            throw error;
+        }
+        
+        return meshData;
+    }
+    
+    // Axis-aligned bounds of the mesh vertices
+    static getBounds(meshData) {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        
+        meshData.vertices.forEach(vertex => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], vertex[axis]);
+                max[axis] = Math.max(max[axis], vertex[axis]);
+            });
+        });
+        
+        return { min, max };
+    }
+}
+
+MeshLoader.DEFAULT_SOURCE = 'mesh_data.json';
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshLoader;
+}
@@ -9,10 +9,49 @@ class MeshRenderer {
         this.wireframe = null;
         this.joints = null;
         this.skeleton = null;
+        this.points = null;
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.highlightedVertex = null;
         this.vertexSprites = [];
+        this.groundLevel = 0; // World is Y-up, the grid and coordinate readout sit at this height
+        
+        // Level of detail
+        this.lodManager = typeof LODManager !== 'undefined' ? new LODManager() : null;
+        this.activeLOD = null;
+        this.onLODChange = null; // Called with the level whenever the displayed detail changes
+        
+        // Load case display: pinned vertices, force preview and sustained loads
+        this.pinnedVertexIds = new Set();
+        this.pinMarkers = null;
+        this.forceGizmo = null;
+        this.forceGizmoVector = null;
+        this.loadArrows = new Map(); // Vertex id -> { arrow, vector }
+        this.onVertexSelected = null; // Called with the vertex picked in the scene or data explorer
+        
+        // Force fields of the physics engine: wind arrows and explosion radius spheres
+        this.forceFieldGizmos = new Map(); // Field id -> Object3D
+        this.forceFieldSphere = new THREE.SphereGeometry(1, 24, 16);
+        this.placementState = null; // { onPlace } while the next click places something in the scene
+        
+        // Analysis colour schemes (see PhysicsAnalysis): simulation values coloured on a legend range
+        this.analysisValues = null; // { scheme, vertex, spring } from PhysicsAnalysis.compute
+        this.analysisRanges = {}; // Scheme -> { min, max } set from the legend
+        this.analysisLines = null; // One line per spring, replaces the wireframe while a scheme is shown
+        this.analysisVertexColors = null;
+        
+        // Inverse kinematics
+        this.ikSolver = null;
+        this.dragState = null;
+        this.onVerticesMoved = null; // Callback fired after interactive posing
+        
+        // Grab tool: the app decides which vertices can be grabbed and applies the spring
+        this.grabState = null;
+        this.grabLine = null;
+        this.grabArrow = null;
+        this.onGrabStart = null; // Called with the vertex under the cursor, return true to grab it
+        this.onGrabMove = null; // Called with the vertex and the new cursor point
+        this.onGrabEnd = null; // Called with the vertex when it is released
         
         // Configuration
         this.config = {
@@ -23,12 +62,17 @@ class MeshRenderer {
             showSkeleton: true,
             showSurface: false,
             colorScheme: 'biomechanical',
-            lodLevel: 'high'
+            renderMode: 'combined', // wireframe, points, solid or combined
+            lodLevel: 'high', // high, medium, low or auto (by camera distance)
+            ikEnabled: false,
+            maxFaceSize: 6 // Longest edge cycle treated as a face when the mesh has no faces array
         };
         
         // Animation
         this.clock = new THREE.Clock();
-        this.animationMixer = null;
+        this.timeline = typeof AnimationTimeline !== 'undefined' ? new AnimationTimeline() : null;
+        this.animationMixer = this.timeline; // Keyframe timeline drives the vertices each frame
+        this.poseController = null;
         this.currentPose = 't-pose';
         
         // Stats
@@ -73,23 +117,43 @@ class MeshRenderer {
         
         // Add grid helper
         this.gridHelper = new THREE.GridHelper(200, 20, 0x3a506b, 0x233554);
-        this.gridHelper.position.y = -50;
+        this.gridHelper.position.y = this.groundLevel;
         this.scene.add(this.gridHelper);
         
         // Add axes helper
         this.axesHelper = new THREE.AxesHelper(50);
         this.scene.add(this.axesHelper);
         
+        // Direction gizmo for the force editor in the vertex info panel
+        this.forceGizmo = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 10, 0xffaa00);
+        this.forceGizmo.visible = false;
+        this.scene.add(this.forceGizmo);
+        
+        // Grab tool: line to the cursor and an arrow for the pulling force
+        const grabGeometry = new THREE.BufferGeometry();
+        grabGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(6), 3));
+        this.grabLine = new THREE.Line(grabGeometry, new THREE.LineBasicMaterial({
+            color: 0x64ffda,
+            transparent: true,
+            opacity: 0.6
+        }));
+        this.grabLine.visible = false;
+        this.scene.add(this.grabLine);
+        
+        this.grabArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 10, 0x64ffda);
+        this.grabArrow.visible = false;
+        this.scene.add(this.grabArrow);
+        
         // Initialize performance stats
         this.initStats();
         
-        // Load mesh data
-        this.loadMeshData();
-        
         // Event listeners
         window.addEventListener('resize', () => this.onWindowResize());
         this.canvas.addEventListener('click', (e) => this.onCanvasClick(e));
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
         
         // Start animation loop
         this.animate();
@@ -141,29 +205,94 @@ class MeshRenderer {
         this.scene.add(pointLight2);
     }
     
-    async loadMeshData() {
-        try {
-            const response = await fetch('mesh_data.json');
-            this.meshData = await response.json();
-            
-            // Parse vertices and edges
-            this.parseVertices();
-            this.createMesh();
-            this.createWireframe();
-            this.createJoints();
-            this.createSkeleton();
-            
-            // Update statistics
-            this.updateStatistics();
-            
-            // Center camera on mesh
-            this.centerCamera();
+    // Build every scene layer from mesh data, replacing any mesh already shown
+    loadMeshData(meshData) {
+        this.clearMesh();
+        this.meshData = meshData;
+        
+        // Parse vertices and edges
+        this.parseVertices();
+        this.createMesh();
+        this.createWireframe();
+        this.createJoints();
+        this.createSkeleton();
+        this.createPoints();
+        this.applyRenderMode();
+        this.initLOD();
+        
+        // Set up inverse kinematics chains and the poses built on them
+        this.initIK();
+        this.initPoses();
+        this.initTimeline();
+        
+        // Update statistics
+        this.updateStatistics();
+        
+        // Center camera on mesh
+        this.centerCamera();
+        
+        console.log('Mesh data loaded successfully:', this.meshData);
+    }
+    
+    // Tear down the mesh-derived layers and interaction state so another mesh can be loaded
+    clearMesh() {
+        if (this.timeline) {
+            this.timeline.stop();
+        }
+        if (this.poseController) {
+            this.poseController.stop();
+        }
+        if (this.dragState) {
+            this.dragState = null;
+            this.controls.enabled = true;
+        }
+        if (this.grabState) {
+            const vertex = this.grabState.vertex;
+            this.endGrab();
+            this.controls.enabled = true;
+            if (typeof this.onGrabEnd === 'function') {
+                this.onGrabEnd(vertex);
+            }
+        }
+        
+        [this.mesh, this.wireframe, this.skeleton, this.points, this.highlightMesh].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        
+        if (this.joints) {
+            this.scene.remove(this.joints);
+            this.joints.traverse(child => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+            this.jointLimitMaterial.dispose();
+            this.jointFreeMaterial.dispose();
             
-            console.log('Mesh data loaded successfully:', this.meshData);
-        } catch (error) {
-            console.error('Error loading mesh data:', error);
-            this.showErrorMessage('Failed to load mesh data. Please check your internet connection and try again.');
+            this.scene.remove(this.pinMarkers);
+            this.pinGeometry.dispose();
+            this.pinMaterial.dispose();
         }
+        
+        this.setLoadArrows([]);
+        this.setForceGizmo(null);
+        this.removeAnalysisLines();
+        this.analysisValues = null;
+        this.pinnedVertexIds.clear();
+        
+        this.mesh = null;
+        this.wireframe = null;
+        this.skeleton = null;
+        this.points = null;
+        this.joints = null;
+        this.pinMarkers = null;
+        this.highlightMesh = null;
+        this.highlightedVertex = null;
+        this.activeLOD = null;
     }
     
     parseVertices() {
@@ -188,6 +317,120 @@ class MeshRenderer {
             const v2 = this.vertexMap[edge[1]];
             return { v1, v2, length: v1.position.distanceTo(v2.position) };
         });
+        
+        this.faces = this.parseFaces();
+    }
+    
+    // Surface polygons as arrays of vertices: the optional faces array from the mesh file,
+    // otherwise the closed edge cycles of the graph
+    parseFaces() {
+        if (Array.isArray(this.meshData.faces)) {
+            return this.meshData.faces
+                .map(face => face.map(id => this.vertexMap[id]))
+                .filter(face => {
+                    const valid = face.length >= 3 && face.every(Boolean);
+                    if (!valid) console.warn('Skipping face with fewer than 3 known vertices');
+                    return valid;
+                });
+        }
+        
+        return this.deriveFacesFromEdges();
+    }
+    
+    // Shortest cycle through each edge. Longer cycles are body outlines rather than faces.
+    deriveFacesFromEdges() {
+        const neighbors = new Map(this.vertices.map(vertex => [vertex, []]));
+        this.edges.forEach(edge => {
+            neighbors.get(edge.v1).push(edge.v2);
+            neighbors.get(edge.v2).push(edge.v1);
+        });
+        
+        const faces = [];
+        const seen = new Set();
+        
+        this.edges.forEach(edge => {
+            // Breadth-first search from v2 back to v1 without taking the edge itself
+            const previous = new Map([[edge.v2, null]]);
+            const depth = new Map([[edge.v2, 1]]);
+            const queue = [edge.v2];
+            
+            while (queue.length > 0 && !previous.has(edge.v1)) {
+                const vertex = queue.shift();
+                if (depth.get(vertex) >= this.config.maxFaceSize) continue;
+                
+                neighbors.get(vertex).forEach(next => {
+                    if (previous.has(next) || (vertex === edge.v2 && next === edge.v1)) return;
+                    previous.set(next, vertex);
+                    depth.set(next, depth.get(vertex) + 1);
+                    queue.push(next);
+                });
+            }
+            
+            if (!previous.has(edge.v1)) return;
+            
+            const cycle = [];
+            for (let vertex = edge.v1; vertex; vertex = previous.get(vertex)) {
+                cycle.push(vertex);
+            }
+            
+            const key = cycle.map(vertex => vertex.id).sort().join('|');
+            if (cycle.length >= 3 && !seen.has(key)) {
+                seen.add(key);
+                faces.push(cycle);
+            }
+        });
+        
+        return faces;
+    }
+    
+    // Fan-triangulate the faces, wound so normals point away from the centre of their body parts
+    triangulateFaces(faces) {
+        const indexOf = new Map(this.vertices.map((vertex, i) => [vertex, i]));
+        
+        const groupCenters = {};
+        const groupCounts = {};
+        this.vertices.forEach(vertex => {
+            groupCenters[vertex.group] = (groupCenters[vertex.group] || new THREE.Vector3()).add(vertex.position);
+            groupCounts[vertex.group] = (groupCounts[vertex.group] || 0) + 1;
+        });
+        Object.keys(groupCenters).forEach(group => groupCenters[group].divideScalar(groupCounts[group]));
+        
+        const indices = [];
+        const normal = new THREE.Vector3();
+        const center = new THREE.Vector3();
+        const reference = new THREE.Vector3();
+        const outward = new THREE.Vector3();
+        
+        faces.forEach(face => {
+            // Newell normal copes with slightly non-planar polygons
+            normal.set(0, 0, 0);
+            center.set(0, 0, 0);
+            reference.set(0, 0, 0);
+            face.forEach((vertex, i) => {
+                const current = vertex.position;
+                const next = face[(i + 1) % face.length].position;
+                normal.x += (current.y - next.y) * (current.z + next.z);
+                normal.y += (current.z - next.z) * (current.x + next.x);
+                normal.z += (current.x - next.x) * (current.y + next.y);
+                center.add(current);
+                reference.add(groupCenters[vertex.group]);
+            });
+            center.divideScalar(face.length);
+            reference.divideScalar(face.length);
+            
+            // Faces level with their body part centre face the default camera (+z)
+            outward.subVectors(center, reference);
+            if (Math.abs(normal.clone().normalize().dot(outward)) < 1e-3) {
+                outward.set(0, 0, 1);
+            }
+            
+            const ordered = normal.dot(outward) < 0 ? face.slice().reverse() : face;
+            for (let i = 1; i < ordered.length - 1; i++) {
+                indices.push(indexOf.get(ordered[0]), indexOf.get(ordered[i]), indexOf.get(ordered[i + 1]));
+            }
+        });
+        
+        return indices;
     }
     
     createMesh() {
@@ -213,19 +456,10 @@ class MeshRenderer {
         });
         geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         
-        // Create index for faces (simplified - in production would use proper triangulation)
-        const indices = [];
-        for (let i = 0; i < this.edges.length; i++) {
-            const edge = this.edges[i];
-            const v1Index = this.vertices.indexOf(edge.v1);
-            const v2Index = this.vertices.indexOf(edge.v2);
-            
-            // Add triangle indices (simplified representation)
-            if (i % 3 === 0 && i + 2 < this.edges.length) {
-                indices.push(v1Index, v2Index, this.vertices.indexOf(this.edges[i + 1].v2));
-            }
-        }
+        // Triangulated surface faces
+        const indices = this.triangulateFaces(this.faces);
         geometry.setIndex(indices);
+        this.triangleCount = indices.length / 3;
         
         // Compute normals
         geometry.computeVertexNormals();
@@ -248,20 +482,24 @@ class MeshRenderer {
     }
     
     createWireframe() {
-        // Create wireframe geometry
+        // Create wireframe geometry: shared vertex positions indexed by edge so LOD can swap the index
         const wireframeGeometry = new THREE.BufferGeometry();
         
         const wireframePositions = [];
-        this.edges.forEach(edge => {
-            wireframePositions.push(
-                edge.v1.position.x, edge.v1.position.y, edge.v1.position.z,
-                edge.v2.position.x, edge.v2.position.y, edge.v2.position.z
-            );
+        this.vertices.forEach(vertex => {
+            wireframePositions.push(vertex.position.x, vertex.position.y, vertex.position.z);
         });
         
         wireframeGeometry.setAttribute('position', 
             new THREE.Float32BufferAttribute(wireframePositions, 3));
         
+        const indexOf = new Map(this.vertices.map((vertex, i) => [vertex, i]));
+        const wireframeIndices = [];
+        this.edges.forEach(edge => {
+            wireframeIndices.push(indexOf.get(edge.v1), indexOf.get(edge.v2));
+        });
+        wireframeGeometry.setIndex(wireframeIndices);
+        
         // Create wireframe material
         const wireframeMaterial = new THREE.LineBasicMaterial({
             color: new THREE.Color(this.meshData.materials.wireframe.color),
@@ -275,6 +513,34 @@ class MeshRenderer {
         this.scene.add(this.wireframe);
     }
     
+    // Point cloud of every vertex for the points render mode
+    createPoints() {
+        const geometry = new THREE.BufferGeometry();
+        
+        const positions = new Float32Array(this.vertices.length * 3);
+        const colors = new Float32Array(this.vertices.length * 3);
+        this.vertices.forEach((vertex, i) => {
+            const color = this.getColorForVertex(vertex);
+            positions[i * 3] = vertex.position.x;
+            positions[i * 3 + 1] = vertex.position.y;
+            positions[i * 3 + 2] = vertex.position.z;
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        });
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        
+        const material = new THREE.PointsMaterial({
+            size: 3,
+            vertexColors: true,
+            sizeAttenuation: true
+        });
+        
+        this.points = new THREE.Points(geometry, material);
+        this.scene.add(this.points);
+    }
+    
     createJoints() {
         const jointGeometry = new THREE.SphereGeometry(1, 16, 16);
         const jointMaterial = new THREE.MeshBasicMaterial({
@@ -283,6 +549,20 @@ class MeshRenderer {
             opacity: 0.8
         });
         
+        // Shared materials for joints outside their range of motion and for free (unpinned) joints
+        this.jointMaterial = jointMaterial;
+        this.jointFreeMaterial = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(this.meshData.materials.joints.color),
+            wireframe: true,
+            transparent: true,
+            opacity: 0.6
+        });
+        this.jointLimitMaterial = new THREE.MeshBasicMaterial({
+            color: 0xf72585,
+            transparent: true,
+            opacity: 0.95
+        });
+        
         this.joints = new THREE.Group();
         
         // Create joint markers
@@ -308,6 +588,12 @@ class MeshRenderer {
         });
         
         this.scene.add(this.joints);
+        
+        // Markers for pinned vertices that have no joint sphere
+        this.pinGeometry = new THREE.OctahedronGeometry(1.2);
+        this.pinMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+        this.pinMarkers = new THREE.Group();
+        this.scene.add(this.pinMarkers);
     }
     
     createSkeleton() {
@@ -315,6 +601,7 @@ class MeshRenderer {
         
         const skeletonPositions = [];
         const skeletonColors = [];
+        this.skeletonEdges = [];
         
         this.edges.forEach(edge => {
             // Only add skeleton lines for major body parts
@@ -325,6 +612,7 @@ class MeshRenderer {
                 edge.v1.group.includes('leg');
             
             if (isSkeletonEdge) {
+                this.skeletonEdges.push(edge);
                 skeletonPositions.push(
                     edge.v1.position.x, edge.v1.position.y, edge.v1.position.z,
                     edge.v2.position.x, edge.v2.position.y, edge.v2.position.z
@@ -355,6 +643,299 @@ class MeshRenderer {
         this.scene.add(this.skeleton);
     }
     
+    initIK() {
+        if (typeof IKSolver === 'undefined') return;
+        
+        this.ikSolver = new IKSolver();
+        this.ikSolver.init(this.meshData, this.vertices, this.vertexMap);
+    }
+    
+    initPoses() {
+        if (typeof PoseController === 'undefined') return;
+        
+        this.poseController = new PoseController();
+        this.poseController.init(this.meshData, this.vertices, this.ikSolver);
+        this.poseController.onUpdate = () => this.updateDeformation();
+        this.poseController.onComplete = (pose) => {
+            this.currentPose = pose;
+            if (typeof this.onVerticesMoved === 'function') {
+                this.onVerticesMoved(this.vertices.map(vertex => vertex.id));
+            }
+        };
+        this.currentPose = this.poseController.currentPose;
+    }
+    
+    initTimeline() {
+        if (!this.timeline) return;
+        
+        this.timeline.init(this.vertices);
+        this.timeline.onUpdate = () => this.updateDeformation();
+    }
+    
+    // Tween the mesh into one of the poses from animation.poses
+    setPose(pose, duration) {
+        if (!this.poseController || !this.poseController.hasPose(pose)) return false;
+        
+        if (this.dragState) {
+            this.dragState = null;
+            this.controls.enabled = true;
+        }
+        
+        return this.poseController.transitionTo(pose, duration);
+    }
+    
+    // Mark pose as the one the mesh is in without tweening, for a restored session whose
+    // vertex positions are already set
+    restorePose(pose) {
+        if (!this.poseController || !this.poseController.setCurrentPose(pose)) return false;
+        
+        this.currentPose = pose;
+        return true;
+    }
+    
+    // True while posing tools own the vertex positions
+    isInteracting() {
+        return Boolean(this.dragState) ||
+            Boolean(this.poseController && this.poseController.isTransitioning()) ||
+            Boolean(this.timeline && this.timeline.playing);
+    }
+    
+    // Copy packed positions (x, y, z per vertex, in mesh order) from the physics engine
+    setVertexPositions(positions) {
+        this.vertices.forEach((vertex, i) => {
+            vertex.position.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        });
+        this.updateDeformation();
+    }
+    
+    // Single deformation path: push the current vertex positions into every derived layer
+    // (surface mesh, wireframe, skeleton, joint spheres, highlight). Physics, reset and
+    // posing tools all write vertex.position and then call this.
+    updateDeformation() {
+        // Layers with one position per vertex
+        [this.mesh, this.wireframe, this.points].forEach(object => {
+            if (!object) return;
+            const positions = object.geometry.attributes.position;
+            this.vertices.forEach((vertex, i) => {
+                positions.array[i * 3] = vertex.position.x;
+                positions.array[i * 3 + 1] = vertex.position.y;
+                positions.array[i * 3 + 2] = vertex.position.z;
+            });
+            positions.needsUpdate = true;
+            object.geometry.computeBoundingSphere();
+        });
+        
+        if (this.mesh) {
+            this.mesh.geometry.computeVertexNormals();
+        }
+        
+        const writeEdges = (lines, edges) => {
+            if (!lines) return;
+            const positions = lines.geometry.attributes.position;
+            edges.forEach((edge, i) => {
+                positions.array[i * 6] = edge.v1.position.x;
+                positions.array[i * 6 + 1] = edge.v1.position.y;
+                positions.array[i * 6 + 2] = edge.v1.position.z;
+                positions.array[i * 6 + 3] = edge.v2.position.x;
+                positions.array[i * 6 + 4] = edge.v2.position.y;
+                positions.array[i * 6 + 5] = edge.v2.position.z;
+            });
+            positions.needsUpdate = true;
+            lines.geometry.computeBoundingSphere();
+        };
+        
+        writeEdges(this.skeleton, this.skeletonEdges || []);
+        this.updateAnalysisLinePositions();
+        
+        if (this.joints) {
+            this.joints.children.forEach(joint => {
+                joint.position.copy(joint.userData.vertex.position);
+            });
+        }
+        
+        if (this.pinMarkers) {
+            this.pinMarkers.children.forEach(marker => {
+                marker.position.copy(marker.userData.vertex.position);
+            });
+        }
+        
+        this.loadArrows.forEach((load, vertexId) => {
+            load.arrow.position.copy(this.vertexMap[vertexId].position);
+        });
+        
+        if (this.highlightMesh && this.highlightedVertex) {
+            this.highlightMesh.position.copy(this.highlightedVertex.position);
+            this.forceGizmo.position.copy(this.highlightedVertex.position);
+        }
+        
+        if (this.grabState) {
+            this.grabArrow.position.copy(this.grabState.vertex.position);
+            this.updateGrabLine();
+        }
+    }
+    
+    initLOD() {
+        if (!this.lodManager) return;
+        
+        this.lodManager.init(this.meshData, this.vertices, this.edges, this.faces, faces => this.triangulateFaces(faces));
+        this.activeLOD = null;
+        this.setLODLevel(this.config.lodLevel);
+    }
+    
+    // Show one of the LOD levels, or 'auto' to pick by camera distance every frame
+    setLODLevel(detail) {
+        if (!this.lodManager) return false;
+        
+        this.config.lodLevel = detail;
+        if (detail === 'auto') {
+            this.updateAutoLOD();
+            return true;
+        }
+        
+        const level = this.lodManager.getLevel(detail);
+        if (!level) return false;
+        
+        this.applyLOD(level);
+        return true;
+    }
+    
+    updateAutoLOD() {
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        this.applyLOD(this.lodManager.getLevelForDistance(distance));
+    }
+    
+    // Swap the index buffers of the surface, wireframe and point cloud. Vertex positions are
+    // shared by every level, so physics and posing keep working on the full mesh.
+    applyLOD(level) {
+        if (!level || level === this.activeLOD) return;
+        
+        this.activeLOD = level;
+        
+        if (this.mesh) {
+            this.mesh.geometry.setIndex(level.triangleIndices);
+            this.mesh.geometry.computeVertexNormals();
+        }
+        if (this.wireframe) {
+            this.wireframe.geometry.setIndex(level.edgeIndices);
+        }
+        if (this.points) {
+            this.points.geometry.setIndex(level.pointIndices);
+        }
+        
+        this.triangleCount = level.triangleCount;
+        this.updateStatistics();
+        
+        console.log(`LOD level: ${level.detail} (${level.vertexCount} vertices, ${level.edgeCount} edges)`);
+        
+        if (typeof this.onLODChange === 'function') {
+            this.onLODChange(level);
+        }
+    }
+    
+    // Flag joints that reached their range of motion limit
+    setJointLimitWarnings(jointIds) {
+        if (!this.joints) return;
+        
+        const limited = new Set(jointIds);
+        const jointColor = this.meshData.materials.joints.color;
+        
+        this.joints.children.forEach(joint => {
+            const atLimit = limited.has(joint.userData.vertex.id);
+            if (Boolean(joint.userData.atLimit) === atLimit) return;
+            
+            joint.userData.atLimit = atLimit;
+            this.updateJointMaterial(joint);
+            joint.scale.setScalar(joint.userData.vertex.weight * (atLimit ? 3 : 2));
+            joint.children.forEach(glow => {
+                glow.material.color.set(atLimit ? 0xf72585 : jointColor);
+                glow.material.opacity = atLimit ? 0.5 : 0.3;
+            });
+        });
+    }
+    
+    // Limit warnings win over the pinned/free look
+    updateJointMaterial(joint) {
+        if (joint.userData.atLimit) {
+            joint.material = this.jointLimitMaterial;
+        } else {
+            joint.material = joint.userData.pinned === false ? this.jointFreeMaterial : this.jointMaterial;
+        }
+    }
+    
+    // Move the grid to the physics ground so the floor shown is the one the body lands on
+    setGroundLevel(y) {
+        this.groundLevel = y;
+        if (this.gridHelper) {
+            this.gridHelper.position.y = y;
+        }
+    }
+    
+    // Pinned (fixed) joints are drawn solid and free joints as wire spheres.
+    // Other pinned vertices get a marker so load cases are visible at a glance.
+    setPinnedVertices(vertexIds) {
+        if (!this.joints) return;
+        
+        this.pinnedVertexIds = new Set(vertexIds);
+        
+        this.joints.children.forEach(joint => {
+            joint.userData.pinned = this.pinnedVertexIds.has(joint.userData.vertex.id);
+            this.updateJointMaterial(joint);
+        });
+        
+        this.pinMarkers.clear();
+        this.vertices.forEach(vertex => {
+            if (vertex.type === 'joint' || !this.pinnedVertexIds.has(vertex.id)) return;
+            
+            const marker = new THREE.Mesh(this.pinGeometry, this.pinMaterial);
+            marker.position.copy(vertex.position);
+            marker.userData = { vertex };
+            this.pinMarkers.add(marker);
+        });
+    }
+    
+    // Preview arrow for the force or impulse about to be applied to the highlighted vertex
+    setForceGizmo(vector) {
+        const hasDirection = vector && (vector.x !== 0 || vector.y !== 0 || vector.z !== 0);
+        if (!hasDirection || !this.highlightedVertex) {
+            this.forceGizmo.visible = false;
+            this.forceGizmoVector = null;
+            return;
+        }
+        
+        this.forceGizmoVector = new THREE.Vector3(vector.x, vector.y, vector.z);
+        this.forceGizmo.position.copy(this.highlightedVertex.position);
+        this.setArrowVector(this.forceGizmo, this.forceGizmoVector);
+        this.forceGizmo.visible = true;
+    }
+    
+    // Arrows for the sustained loads of the physics engine ([{ id, force }])
+    setLoadArrows(loads) {
+        this.loadArrows.forEach(load => {
+            this.scene.remove(load.arrow);
+            load.arrow.line.material.dispose();
+            load.arrow.cone.material.dispose();
+        });
+        this.loadArrows.clear();
+        
+        loads.forEach(({ id, force }) => {
+            const vertex = this.vertexMap[id];
+            if (!vertex) return;
+            
+            const vector = new THREE.Vector3(force.x, force.y, force.z);
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), vertex.position, 10, 0xf72585);
+            this.setArrowVector(arrow, vector);
+            arrow.visible = this.config.renderMode === 'combined' && this.config.showJoints;
+            this.scene.add(arrow);
+            this.loadArrows.set(id, { arrow, vector });
+        });
+    }
+    
+    setArrowVector(arrow, vector) {
+        const length = THREE.MathUtils.clamp(vector.length() * 0.1, 4, 40); // 0.1 scene units per newton
+        arrow.setDirection(vector.clone().normalize());
+        arrow.setLength(length, Math.min(4, length * 0.3), Math.min(2.5, length * 0.2));
+    }
+    
     getColorForVertex(vertex) {
         switch(this.config.colorScheme) {
             case 'biomechanical':
@@ -401,10 +982,126 @@ class MeshRenderer {
                 return new THREE.Color(intensity, intensity, intensity);
                 
             default:
+                // Analysis schemes before any simulation data: the body at rest
+                if (this.isAnalysisScheme()) {
+                    const scheme = this.config.colorScheme;
+                    const { min, max } = this.getAnalysisRange(scheme);
+                    return new THREE.Color().fromArray(PhysicsAnalysis.colorFor(0, min, max, PhysicsAnalysis.SCHEMES[scheme].palette));
+                }
                 return new THREE.Color(0x2ea3ff);
         }
     }
     
+    isAnalysisScheme(scheme = this.config.colorScheme) {
+        return typeof PhysicsAnalysis !== 'undefined' && PhysicsAnalysis.isScheme(scheme);
+    }
+    
+    // Legend range of an analysis scheme, PhysicsAnalysis.SCHEMES until set
+    getAnalysisRange(scheme) {
+        const defaults = PhysicsAnalysis.SCHEMES[scheme];
+        return this.analysisRanges[scheme] || { min: defaults.min, max: defaults.max };
+    }
+    
+    setAnalysisRange(scheme, min, max) {
+        this.analysisRanges[scheme] = { min, max };
+        if (this.analysisValues && this.analysisValues.scheme === scheme) {
+            this.applyAnalysisColors();
+        }
+    }
+    
+    // Colour the body by simulation values ({ scheme, vertex, spring } from PhysicsAnalysis.compute).
+    // springA and springB are the engine's spring end indices, drawn as the analysis lines.
+    setAnalysisValues(values, springA, springB) {
+        if (!this.vertices || values.vertex.length !== this.vertices.length) return;
+        
+        this.analysisValues = values;
+        if (!this.analysisLines || this.analysisLines.userData.springA !== springA) {
+            this.createAnalysisLines(springA, springB);
+            this.applyRenderMode();
+        }
+        this.applyAnalysisColors();
+    }
+    
+    applyAnalysisColors() {
+        const values = this.analysisValues;
+        if (!values || !this.isAnalysisScheme(values.scheme)) return;
+        
+        const palette = PhysicsAnalysis.SCHEMES[values.scheme].palette;
+        const { min, max } = this.getAnalysisRange(values.scheme);
+        const color = [0, 0, 0];
+        
+        const vertexColors = PhysicsAnalysis.buffer(this.analysisVertexColors, values.vertex.length * 3);
+        this.analysisVertexColors = vertexColors;
+        for (let i = 0; i < values.vertex.length; i++) {
+            vertexColors.set(PhysicsAnalysis.colorFor(values.vertex[i], min, max, palette, color), i * 3);
+        }
+        
+        [this.mesh, this.points].forEach(object => {
+            if (!object) return;
+            const colors = object.geometry.attributes.color;
+            colors.array.set(vertexColors);
+            colors.needsUpdate = true;
+        });
+        
+        // Strain and tension colour each spring as a whole, the other schemes blend between its ends
+        if (this.analysisLines) {
+            const { springA, springB } = this.analysisLines.userData;
+            const colors = this.analysisLines.geometry.attributes.color;
+            for (let s = 0; s < springA.length; s++) {
+                if (values.spring) {
+                    PhysicsAnalysis.colorFor(values.spring[s], min, max, palette, color);
+                    colors.array.set(color, s * 6);
+                    colors.array.set(color, s * 6 + 3);
+                } else {
+                    colors.array.set(vertexColors.subarray(springA[s] * 3, springA[s] * 3 + 3), s * 6);
+                    colors.array.set(vertexColors.subarray(springB[s] * 3, springB[s] * 3 + 3), s * 6 + 3);
+                }
+            }
+            colors.needsUpdate = true;
+        }
+    }
+    
+    createAnalysisLines(springA, springB) {
+        this.removeAnalysisLines();
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(springA.length * 6), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(springA.length * 6), 3));
+        
+        this.analysisLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: this.config.wireframeOpacity
+        }));
+        this.analysisLines.userData = { springA, springB };
+        this.scene.add(this.analysisLines);
+        this.updateAnalysisLinePositions();
+    }
+    
+    updateAnalysisLinePositions() {
+        if (!this.analysisLines) return;
+        
+        const { springA, springB } = this.analysisLines.userData;
+        const positions = this.analysisLines.geometry.attributes.position;
+        for (let s = 0; s < springA.length; s++) {
+            const a = this.vertices[springA[s]].position;
+            const b = this.vertices[springB[s]].position;
+            positions.setXYZ(s * 2, a.x, a.y, a.z);
+            positions.setXYZ(s * 2 + 1, b.x, b.y, b.z);
+        }
+        positions.needsUpdate = true;
+        this.analysisLines.geometry.computeBoundingSphere();
+    }
+    
+    removeAnalysisLines() {
+        if (!this.analysisLines) return;
+        
+        this.scene.remove(this.analysisLines);
+        this.analysisLines.geometry.dispose();
+        this.analysisLines.material.dispose();
+        this.analysisLines = null;
+    }
+    
     updateStatistics() {
         // Update UI statistics
         const vertexCount = document.getElementById('stat-vertices');
@@ -414,9 +1111,7 @@ class MeshRenderer {
         if (vertexCount) vertexCount.textContent = this.vertices.length;
         if (edgeCount) edgeCount.textContent = this.edges.length;
         if (triangleCount) {
-            // Estimate triangle count (simplified)
-            const triangles = Math.floor(this.edges.length / 3);
-            triangleCount.textContent = triangles;
+            triangleCount.textContent = this.triangleCount;
         }
         
         // Count unique groups
@@ -458,6 +1153,11 @@ class MeshRenderer {
         // Update the picking ray
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
+        if (this.placementState) {
+            this.placeAtPointer(event);
+            return;
+        }
+        
         // Find intersections
         const intersects = this.raycaster.intersectObjects(this.joints.children);
         
@@ -467,6 +1167,260 @@ class MeshRenderer {
         }
     }
     
+    onPointerDown(event) {
+        if (event.button !== 0 || !this.vertices || this.placementState) return;
+        
+        this.updatePointer(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        if (this.startIKDrag() || this.startGrab()) {
+            this.controls.enabled = false;
+            this.canvas.setPointerCapture(event.pointerId);
+            this.canvas.style.cursor = 'grabbing';
+        }
+    }
+    
+    // Pose a limb by dragging its end effector (IK toggle on)
+    startIKDrag() {
+        if (!this.config.ikEnabled || !this.ikSolver || !this.joints) return false;
+        
+        const intersects = this.raycaster.intersectObjects(this.joints.children);
+        if (intersects.length === 0) return false;
+        
+        const vertex = intersects[0].object.userData.vertex;
+        const chain = this.ikSolver.getChainForEffector(vertex.id);
+        if (!chain) return false;
+        
+        if (this.poseController) {
+            this.poseController.stop();
+        }
+        
+        this.dragState = {
+            vertex,
+            chain,
+            plane: this.getDragPlane(vertex.position)
+        };
+        
+        this.ikSolver.bindChain(chain);
+        return true;
+    }
+    
+    // Grab tool: pull any vertex with a spring to the cursor while the simulation runs.
+    // onGrabStart decides whether the vertex can be grabbed; the spring itself lives in the physics engine.
+    startGrab() {
+        if (typeof this.onGrabStart !== 'function') return false;
+        
+        const vertex = this.pickVertex(MeshRenderer.GRAB_PICK_RADIUS);
+        if (!vertex || !this.onGrabStart(vertex)) return false;
+        
+        this.grabState = {
+            vertex,
+            plane: this.getDragPlane(vertex.position),
+            target: vertex.position.clone()
+        };
+        
+        this.updateGrabLine();
+        this.grabLine.visible = true;
+        return true;
+    }
+    
+    // Camera-facing plane through point, the cursor moves on it while dragging
+    getDragPlane(point) {
+        const normal = new THREE.Vector3();
+        this.camera.getWorldDirection(normal);
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+    }
+    
+    // Vertex nearest to the pointer on screen, within radius pixels
+    pickVertex(radius) {
+        const rect = this.canvas.getBoundingClientRect();
+        const projected = new THREE.Vector3();
+        let nearest = null;
+        let nearestDistance = radius;
+        
+        this.vertices.forEach(vertex => {
+            projected.copy(vertex.position).project(this.camera);
+            if (projected.z > 1) return; // Behind the camera
+            
+            const dx = (projected.x - this.mouse.x) * rect.width / 2;
+            const dy = (projected.y - this.mouse.y) * rect.height / 2;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < nearestDistance) {
+                nearest = vertex;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    onPointerMove(event) {
+        if (!this.dragState && !this.grabState) return;
+        
+        this.updatePointer(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        const target = new THREE.Vector3();
+        
+        if (this.grabState) {
+            if (this.raycaster.ray.intersectPlane(this.grabState.plane, target)) {
+                this.grabState.target.copy(target);
+                this.updateGrabLine();
+                
+                if (typeof this.onGrabMove === 'function') {
+                    this.onGrabMove(this.grabState.vertex, target);
+                }
+            }
+            return;
+        }
+        
+        if (this.raycaster.ray.intersectPlane(this.dragState.plane, target)) {
+            this.ikSolver.solve(this.dragState.chain, target);
+            this.updateDeformation();
+            
+            if (this.highlightedVertex === this.dragState.vertex) {
+                this.showVertexInfo(this.dragState.vertex);
+            }
+        }
+    }
+    
+    onPointerUp(event) {
+        if (!this.dragState && !this.grabState) return;
+        
+        const dragState = this.dragState;
+        const grabState = this.grabState;
+        this.dragState = null;
+        this.endGrab();
+        
+        this.controls.enabled = true;
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        this.canvas.style.cursor = '';
+        
+        if (grabState && typeof this.onGrabEnd === 'function') {
+            this.onGrabEnd(grabState.vertex);
+        }
+        
+        if (dragState && typeof this.onVerticesMoved === 'function') {
+            this.onVerticesMoved(this.ikSolver.getAffectedVertexIds(dragState.chain));
+        }
+    }
+    
+    // Click-to-place tool: the next click in the viewer calls onPlace(point, shiftKey) with
+    // the vertex under the cursor, or the point in the camera-facing plane through the orbit target.
+    // onEnd is called once the tool is done, placed or cancelled.
+    startPlacement(onPlace, onEnd = null) {
+        this.cancelPlacement();
+        this.placementState = { onPlace, onEnd };
+        this.canvas.style.cursor = 'crosshair';
+    }
+    
+    cancelPlacement() {
+        if (!this.placementState) return false;
+        
+        const { onEnd } = this.placementState;
+        this.placementState = null;
+        this.canvas.style.cursor = '';
+        if (typeof onEnd === 'function') {
+            onEnd();
+        }
+        return true;
+    }
+    
+    placeAtPointer(event) {
+        const { onPlace } = this.placementState;
+        const vertex = this.vertices ? this.pickVertex(MeshRenderer.GRAB_PICK_RADIUS) : null;
+        const point = vertex ? vertex.position.clone() : new THREE.Vector3();
+        
+        if (!vertex && !this.raycaster.ray.intersectPlane(this.getDragPlane(this.controls.target), point)) return;
+        
+        this.cancelPlacement();
+        onPlace(point, event.shiftKey);
+    }
+    
+    // Gizmos for the engine's force fields ([{ id, type, active, ... }], see PhysicsEngine.addForceField).
+    // Explosions and implosions show their radius, wind an arrow above the body. Inactive fields are dimmed.
+    setForceFields(fields) {
+        this.forceFieldGizmos.forEach(gizmo => {
+            this.scene.remove(gizmo);
+            gizmo.traverse(child => {
+                if (child.material) child.material.dispose();
+            });
+        });
+        this.forceFieldGizmos.clear();
+        
+        const top = this.vertices && this.vertices.length > 0
+            ? this.vertices.reduce((max, vertex) => Math.max(max, vertex.position.y), -Infinity)
+            : 0;
+        let windCount = 0;
+        
+        fields.forEach(field => {
+            const color = MeshRenderer.FORCE_FIELD_COLORS[field.type];
+            let gizmo;
+            
+            if (field.type === 'wind') {
+                const direction = new THREE.Vector3(field.force.x, field.force.y, field.force.z);
+                const length = THREE.MathUtils.clamp(direction.length(), 10, 40);
+                if (direction.lengthSq() === 0) direction.set(1, 0, 0);
+                direction.normalize();
+                
+                // Centred above the head, one row per wind field
+                const origin = new THREE.Vector3(0, top + 15 + windCount++ * 10, 0).addScaledVector(direction, -length / 2);
+                gizmo = new THREE.ArrowHelper(direction, origin, length, color, 5, 3);
+            } else {
+                gizmo = new THREE.Mesh(this.forceFieldSphere, new THREE.MeshBasicMaterial({ color, wireframe: true }));
+                gizmo.position.set(field.center.x, field.center.y, field.center.z);
+                gizmo.scale.setScalar(field.radius);
+            }
+            
+            gizmo.traverse(child => {
+                if (!child.material) return;
+                child.material.transparent = true;
+                child.material.opacity = field.active ? 0.6 : 0.2;
+            });
+            this.scene.add(gizmo);
+            this.forceFieldGizmos.set(field.id, gizmo);
+        });
+    }
+    
+    // Drop the grab and hide its line and force arrow
+    endGrab() {
+        this.grabState = null;
+        this.grabLine.visible = false;
+        this.grabArrow.visible = false;
+    }
+    
+    // Line from the grabbed vertex to the cursor
+    updateGrabLine() {
+        if (!this.grabState) return;
+        
+        const positions = this.grabLine.geometry.attributes.position;
+        positions.setXYZ(0, this.grabState.vertex.position.x, this.grabState.vertex.position.y, this.grabState.vertex.position.z);
+        positions.setXYZ(1, this.grabState.target.x, this.grabState.target.y, this.grabState.target.z);
+        positions.needsUpdate = true;
+        this.grabLine.geometry.computeBoundingSphere();
+    }
+    
+    // Show the spring force currently pulling the grabbed vertex
+    setGrabForce(force) {
+        const hasDirection = force && (force.x !== 0 || force.y !== 0 || force.z !== 0);
+        if (!this.grabState || !hasDirection) {
+            this.grabArrow.visible = false;
+            return;
+        }
+        
+        this.grabArrow.position.copy(this.grabState.vertex.position);
+        this.setArrowVector(this.grabArrow, new THREE.Vector3(force.x, force.y, force.z));
+        this.grabArrow.visible = true;
+    }
+    
+    updatePointer(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+    
     onMouseMove(event) {
         // Update mouse position
         const rect = this.canvas.getBoundingClientRect();
@@ -481,8 +1435,8 @@ class MeshRenderer {
         // Create ray from camera through mouse position
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        // Create a plane at y=0 for intersection
-        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        // Intersect with the ground plane the grid is drawn on
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.groundLevel);
         const intersection = new THREE.Vector3();
         
         if (this.raycaster.ray.intersectPlane(plane, intersection)) {
@@ -519,6 +1473,10 @@ class MeshRenderer {
         this.highlightMesh = new THREE.Mesh(geometry, material);
         this.highlightMesh.position.copy(vertex.position);
         this.scene.add(this.highlightMesh);
+        
+        if (typeof this.onVertexSelected === 'function') {
+            this.onVertexSelected(vertex);
+        }
     }
     
     showVertexInfo(vertex) {
@@ -586,37 +1544,83 @@ class MeshRenderer {
         Object.assign(this.config, config);
         
         // Update wireframe opacity
-        if (this.wireframe) {
-            this.wireframe.material.opacity = this.config.wireframeOpacity;
+        [this.wireframe, this.analysisLines].forEach(lines => {
+            if (lines) lines.material.opacity = this.config.wireframeOpacity;
+        });
+        
+        // Analysis values belong to one scheme, the app sends new ones for the next
+        if (config.colorScheme) {
+            this.analysisValues = null;
+            if (!this.isAnalysisScheme()) {
+                this.removeAnalysisLines();
+            }
+        }
+        
+        // Update layer visibility
+        this.applyRenderMode();
+        
+        // Update colors if color scheme changed
+        if (config.colorScheme) {
+            [this.mesh, this.points].forEach(object => {
+                if (!object) return;
+                
+                const colors = object.geometry.attributes.color;
+                this.vertices.forEach((vertex, i) => {
+                    const color = this.getColorForVertex(vertex);
+                    colors.array[i * 3] = color.r;
+                    colors.array[i * 3 + 1] = color.g;
+                    colors.array[i * 3 + 2] = color.b;
+                });
+                colors.needsUpdate = true;
+            });
         }
+    }
+    
+    // Show the layers for the current render mode. The layer toggles apply in combined mode.
+    applyRenderMode() {
+        const mode = this.config.renderMode;
+        const combined = mode === 'combined';
         
-        // Update mesh visibility
         if (this.mesh) {
-            this.mesh.visible = this.config.showSurface;
+            this.mesh.visible = mode === 'solid' || (combined && this.config.showSurface);
+            
+            // Solid mode draws an opaque surface, combined keeps it see-through over the skeleton
+            const solid = mode === 'solid';
+            if (this.mesh.material.transparent === solid) {
+                this.mesh.material.transparent = !solid;
+                this.mesh.material.opacity = solid ? 1.0 : 0.3;
+                this.mesh.material.needsUpdate = true;
+            }
         }
         
+        // Springs coloured by an analysis scheme take the wireframe's place
+        const showLines = mode === 'wireframe' || (combined && this.config.showWireframe);
+        const analysis = Boolean(this.analysisLines) && this.isAnalysisScheme();
         if (this.wireframe) {
-            this.wireframe.visible = this.config.showWireframe;
+            this.wireframe.visible = showLines && !analysis;
+        }
+        if (this.analysisLines) {
+            this.analysisLines.visible = showLines && analysis;
+        }
+        
+        if (this.points) {
+            this.points.visible = mode === 'points';
         }
         
         if (this.joints) {
-            this.joints.visible = this.config.showJoints;
+            this.joints.visible = combined && this.config.showJoints;
         }
         
-        if (this.skeleton) {
-            this.skeleton.visible = this.config.showSkeleton;
+        if (this.pinMarkers) {
+            this.pinMarkers.visible = combined && this.config.showJoints;
         }
         
-        // Update colors if color scheme changed
-        if (this.mesh && config.colorScheme) {
-            const colors = this.mesh.geometry.attributes.color;
-            this.vertices.forEach((vertex, i) => {
-                const color = this.getColorForVertex(vertex);
-                colors.array[i * 3] = color.r;
-                colors.array[i * 3 + 1] = color.g;
-                colors.array[i * 3 + 2] = color.b;
-            });
-            colors.needsUpdate = true;
+        this.loadArrows.forEach(load => {
+            load.arrow.visible = combined && this.config.showJoints;
+        });
+        
+        if (this.skeleton) {
+            this.skeleton.visible = combined && this.config.showSkeleton;
         }
     }
     
@@ -635,6 +1639,16 @@ class MeshRenderer {
             this.controls.update();
         }
         
+        // Advance pose transitions
+        if (typeof TWEEN !== 'undefined') {
+            TWEEN.update();
+        }
+        
+        // Pick the level of detail for the current camera distance
+        if (this.activeLOD && this.config.lodLevel === 'auto') {
+            this.updateAutoLOD();
+        }
+        
         // Update animation
         if (this.animationMixer) {
             this.animationMixer.update(delta);
@@ -698,6 +1712,23 @@ class MeshRenderer {
         this.centerCamera();
     }
     
+    // Camera position and orbit target as [x, y, z], for saved sessions
+    getCameraState() {
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray()
+        };
+    }
+    
+    setCameraState(state) {
+        if (!state || !Array.isArray(state.position) || !Array.isArray(state.target)) return false;
+        
+        this.camera.position.fromArray(state.position);
+        this.controls.target.fromArray(state.target);
+        this.controls.update();
+        return true;
+    }
+    
     showErrorMessage(message) {
         console.error('Renderer Error:', message);
         
@@ -744,14 +1775,9 @@ class MeshRenderer {
     
     // Clean up resources
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.wireframe) {
-            this.wireframe.geometry.dispose();
-            this.wireframe.material.dispose();
-        }
+        this.clearMesh();
+        this.setForceFields([]);
+        this.forceFieldSphere.dispose();
         if (this.renderer) {
             this.renderer.dispose();
         }
@@ -763,6 +1789,15 @@ class MeshRenderer {
     }
 }
 
+// How close to a vertex, in screen pixels, a press has to land to grab it
+MeshRenderer.GRAB_PICK_RADIUS = 12;
+
+MeshRenderer.FORCE_FIELD_COLORS = {
+    wind: 0x64ffda,
+    explosion: 0xff8c42,
+    implosion: 0x4cc9f0
+};
+
 // Export for use in main app
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MeshRenderer;
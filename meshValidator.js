@@ -0,0 +1,242 @@
+class MeshValidator {
+    constructor() {
+        this.maxProblems = 200; // Stop collecting after this many, a broken file can produce thousands
+    }
+    
+    // Check mesh data against the mesh JSON format.
+    // Returns { errors, warnings }, each a list of { location, message }.
+    // Errors make the mesh unusable; warnings are inconsistencies the viewer can live with.
+    validate(meshData) {
+        const report = { errors: [], warnings: [] };
+        const error = (location, message) => this.addProblem(report.errors, location, message);
+        const warning = (location, message) => this.addProblem(report.warnings, location, message);
+        
+        if (!meshData || typeof meshData !== 'object' || Array.isArray(meshData)) {
+            error('(root)', 'Mesh data must be a JSON object');
+            return report;
+        }
+        
+        if (!Array.isArray(meshData.vertices)) {
+            error('vertices', meshData.vertices === undefined ? 'Missing vertices array' : 'Expected an array of vertices');
+        }
+        
+        if (!Array.isArray(meshData.edges)) {
+            error('edges', meshData.edges === undefined ? 'Missing edges array' : 'Expected an array of edges');
+        }
+        
+        if (report.errors.length > 0) return report;
+        
+        this.validateCoordinateSystem(meshData, error);
+        
+        const ids = this.validateVertices(meshData, error, warning);
+        this.validateEdges(meshData, ids, error, warning);
+        this.validateFaces(meshData, ids, error);
+        this.validateMaterials(meshData, error);
+        this.validateStatistics(meshData, warning);
+        
+        return report;
+    }
+    
+    addProblem(list, location, message) {
+        if (list.length < this.maxProblems) {
+            list.push({ location, message });
+        }
+    }
+    
+    validateCoordinateSystem(meshData, error) {
+        const metadata = meshData.metadata || {};
+        
+        if (metadata.upAxis !== undefined && !MeshValidator.UP_AXES.includes(metadata.upAxis)) {
+            error('metadata.upAxis', `Unknown up axis ${JSON.stringify(metadata.upAxis)}, expected one of ${MeshValidator.UP_AXES.join(', ')}`);
+        }
+        
+        if (metadata.handedness !== undefined && !MeshValidator.HANDEDNESS.includes(metadata.handedness)) {
+            error('metadata.handedness', `Unknown handedness ${JSON.stringify(metadata.handedness)}, expected right or left`);
+        }
+        
+        const groundLevel = meshData.physics?.groundLevel;
+        if (groundLevel !== undefined && groundLevel !== 'auto' && (typeof groundLevel !== 'number' || !Number.isFinite(groundLevel))) {
+            error('physics.groundLevel', `Ground level must be a number or "auto", got ${JSON.stringify(groundLevel)}`);
+        }
+    }
+    
+    // Returns id -> index of the first vertex using it
+    validateVertices(meshData, error, warning) {
+        const ids = new Map();
+        const groups = meshData.groups && typeof meshData.groups === 'object' ? meshData.groups : null;
+        
+        if (!groups) {
+            warning('groups', 'Missing groups object, vertex groups cannot be checked');
+        }
+        
+        meshData.vertices.forEach((vertex, i) => {
+            const location = `vertices[${i}]`;
+            
+            if (!vertex || typeof vertex !== 'object') {
+                error(location, 'Expected a vertex object');
+                return;
+            }
+            
+            if (typeof vertex.id !== 'string' || vertex.id === '') {
+                error(`${location}.id`, 'Missing vertex id');
+            } else if (ids.has(vertex.id)) {
+                error(`${location}.id`, `Duplicate id "${vertex.id}" (first used by vertices[${ids.get(vertex.id)}])`);
+            } else {
+                ids.set(vertex.id, i);
+            }
+            
+            ['x', 'y', 'z'].forEach(axis => {
+                if (typeof vertex[axis] !== 'number' || !Number.isFinite(vertex[axis])) {
+                    error(`${location}.${axis}`, `Coordinate must be a number, got ${JSON.stringify(vertex[axis])}`);
+                }
+            });
+            
+            if (!MeshValidator.VERTEX_TYPES.includes(vertex.type)) {
+                error(`${location}.type`, `Unknown type ${JSON.stringify(vertex.type)}, expected one of ${MeshValidator.VERTEX_TYPES.join(', ')}`);
+            }
+            
+            if (typeof vertex.group !== 'string' || vertex.group === '') {
+                error(`${location}.group`, 'Missing vertex group');
+            } else if (groups && !groups[vertex.group]) {
+                error(`${location}.group`, `Group "${vertex.group}" is not defined in groups`);
+            }
+            
+            if (typeof vertex.weight !== 'number' || !Number.isFinite(vertex.weight)) {
+                error(`${location}.weight`, `Weight must be a number, got ${JSON.stringify(vertex.weight)}`);
+            }
+            
+            if (vertex.fixed !== undefined && typeof vertex.fixed !== 'boolean') {
+                error(`${location}.fixed`, `Fixed must be true or false, got ${JSON.stringify(vertex.fixed)}`);
+            }
+        });
+        
+        return ids;
+    }
+    
+    validateEdges(meshData, ids, error, warning) {
+        const seen = new Map();
+        
+        meshData.edges.forEach((edge, i) => {
+            const location = `edges[${i}]`;
+            
+            if (!Array.isArray(edge) || edge.length !== 2) {
+                error(location, 'Expected a pair of vertex ids');
+                return;
+            }
+            
+            edge.forEach((id, end) => {
+                if (!ids.has(id)) {
+                    error(`${location}[${end}]`, `Unknown vertex id ${JSON.stringify(id)}`);
+                }
+            });
+            
+            if (edge[0] === edge[1]) {
+                warning(location, `Edge connects "${edge[0]}" to itself`);
+                return;
+            }
+            
+            const key = edge[0] < edge[1] ? `${edge[0]}|${edge[1]}` : `${edge[1]}|${edge[0]}`;
+            if (seen.has(key)) {
+                warning(location, `Duplicate of edges[${seen.get(key)}] (${edge[0]} - ${edge[1]})`);
+            } else {
+                seen.set(key, i);
+            }
+        });
+    }
+    
+    validateFaces(meshData, ids, error) {
+        if (meshData.faces === undefined) return;
+        
+        if (!Array.isArray(meshData.faces)) {
+            error('faces', 'Expected an array of faces');
+            return;
+        }
+        
+        meshData.faces.forEach((face, i) => {
+            const location = `faces[${i}]`;
+            
+            if (!Array.isArray(face) || face.length < 3) {
+                error(location, 'A face needs at least 3 vertex ids');
+                return;
+            }
+            
+            face.forEach((id, corner) => {
+                if (!ids.has(id)) {
+                    error(`${location}[${corner}]`, `Unknown vertex id ${JSON.stringify(id)}`);
+                }
+            });
+        });
+    }
+    
+    // The renderer builds the wireframe, joints and skeleton from these, it has no fallback
+    validateMaterials(meshData, error) {
+        const materials = meshData.materials;
+        if (!materials || typeof materials !== 'object' || Array.isArray(materials)) {
+            error('materials', materials === undefined ? 'Missing materials object' : 'Expected a materials object');
+            return;
+        }
+        
+        Object.entries(MeshValidator.MATERIALS).forEach(([name, keys]) => {
+            const location = `materials.${name}`;
+            const material = materials[name];
+            if (!material || typeof material !== 'object') {
+                error(location, material === undefined ? `Missing ${name} material` : `Expected a ${name} material object`);
+                return;
+            }
+            
+            const color = material.color;
+            if (!(typeof color === 'string' && color !== '') && !(typeof color === 'number' && Number.isFinite(color))) {
+                error(`${location}.color`, `Colour must be a CSS colour string or a number, got ${JSON.stringify(color)}`);
+            }
+            
+            if (keys.includes('thickness') && !(typeof material.thickness === 'number' && material.thickness > 0)) {
+                error(`${location}.thickness`, `Thickness must be a positive number, got ${JSON.stringify(material.thickness)}`);
+            }
+        });
+    }
+    
+    // The statistics block is informational, so disagreements are warnings
+    validateStatistics(meshData, warning) {
+        const statistics = meshData.statistics;
+        if (!statistics) return;
+        
+        const vertices = meshData.vertices.filter(vertex => vertex && typeof vertex === 'object');
+        const typeCounts = {};
+        vertices.forEach(vertex => {
+            typeCounts[vertex.type] = (typeCounts[vertex.type] || 0) + 1;
+        });
+        
+        const compare = (key, actual, noun) => {
+            if (statistics[key] !== undefined && statistics[key] !== actual) {
+                warning(`statistics.${key}`, `Says ${statistics[key]} but the mesh has ${actual} ${noun}`);
+            }
+        };
+        
+        compare('totalVertices', meshData.vertices.length, 'vertices');
+        compare('totalEdges', meshData.edges.length, 'edges');
+        compare('totalJoints', typeCounts.joint || 0, 'joint vertices');
+        compare('totalGroups', new Set(vertices.map(vertex => vertex.group)).size, 'groups in use');
+        
+        Object.entries(statistics.vertexTypes || {}).forEach(([type, count]) => {
+            const actual = typeCounts[type] || 0;
+            if (count !== actual) {
+                warning(`statistics.vertexTypes.${type}`, `Says ${count} but the mesh has ${actual} ${type} vertices`);
+            }
+        });
+    }
+}
+
+MeshValidator.VERTEX_TYPES = ['joint', 'surface', 'feature', 'contour'];
+MeshValidator.UP_AXES = ['+x', '-x', '+y', '-y', '+z', '-z'];
+MeshValidator.HANDEDNESS = ['right', 'left'];
+// Materials the renderer reads and the values it needs from each
+MeshValidator.MATERIALS = {
+    wireframe: ['color', 'thickness'],
+    joints: ['color'],
+    skeleton: ['color', 'thickness']
+};
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshValidator;
+}
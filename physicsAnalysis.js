@@ -0,0 +1,148 @@
+// Quantities of a running PhysicsEngine for the analysis colour schemes, and the colour
+// maps that show them. Reads the engine's typed arrays directly (mass i and spring s as in
+// the engine), so it works on the main thread copy of a WorkerPhysicsEngine and in Node.
+class PhysicsAnalysis {
+    static isScheme(name) {
+        return Object.prototype.hasOwnProperty.call(PhysicsAnalysis.SCHEMES, name);
+    }
+    
+    // Values for scheme as { scheme, vertex, spring }: one per mass, and one per spring for
+    // strain and tension (null otherwise). The arrays of previous are reused when their sizes still fit.
+    static compute(scheme, engine, previous = null) {
+        const spring = PhysicsAnalysis.isScheme(scheme) && PhysicsAnalysis.SCHEMES[scheme].springs
+            ? PhysicsAnalysis.springValues(scheme, engine, previous && previous.spring)
+            : null;
+        const vertex = PhysicsAnalysis.vertexValues(scheme, engine, previous && previous.vertex, spring);
+        return { scheme, vertex, spring };
+    }
+    
+    // One value per spring, negative when compressed. Strain is the change in length as a
+    // share of the rest length; tension is the spring force, stiffness times that change
+    // (as PhysicsExport reports it).
+    static springValues(scheme, engine, target = null) {
+        const values = PhysicsAnalysis.buffer(target, engine.springCount);
+        const p = engine.positions;
+        
+        for (let s = 0; s < engine.springCount; s++) {
+            const a = engine.springA[s] * 3;
+            const b = engine.springB[s] * 3;
+            const length = Math.hypot(p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]);
+            const rest = engine.springRestLengths[s];
+            if (scheme === 'tension') {
+                values[s] = engine.springStiffness[s] * (length - rest);
+            } else {
+                values[s] = rest > 0 ? (length - rest) / rest : 0;
+            }
+        }
+        return values;
+    }
+    
+    // One value per mass. Strain and tension are the means over the springs meeting at the mass.
+    static vertexValues(scheme, engine, target = null, springs = null) {
+        const values = PhysicsAnalysis.buffer(target, engine.count);
+        const p = engine.positions;
+        const v = engine.velocities;
+        const o = engine.originalPositions;
+        
+        switch (scheme) {
+            case 'strain':
+            case 'tension': {
+                springs = springs || PhysicsAnalysis.springValues(scheme, engine);
+                const counts = new Uint32Array(engine.count);
+                values.fill(0);
+                for (let s = 0; s < engine.springCount; s++) {
+                    values[engine.springA[s]] += springs[s];
+                    values[engine.springB[s]] += springs[s];
+                    counts[engine.springA[s]]++;
+                    counts[engine.springB[s]]++;
+                }
+                for (let i = 0; i < engine.count; i++) {
+                    if (counts[i] > 0) values[i] /= counts[i];
+                }
+                break;
+            }
+            case 'kineticEnergy':
+                for (let i = 0; i < engine.count; i++) {
+                    const speedSquared = v[i * 3] ** 2 + v[i * 3 + 1] ** 2 + v[i * 3 + 2] ** 2;
+                    values[i] = 0.5 * engine.masses[i] * speedSquared;
+                }
+                break;
+            case 'velocity':
+                for (let i = 0; i < engine.count; i++) {
+                    values[i] = Math.hypot(v[i * 3], v[i * 3 + 1], v[i * 3 + 2]);
+                }
+                break;
+            case 'displacement':
+                for (let i = 0; i < engine.count; i++) {
+                    values[i] = Math.hypot(p[i * 3] - o[i * 3], p[i * 3 + 1] - o[i * 3 + 1], p[i * 3 + 2] - o[i * 3 + 2]);
+                }
+                break;
+            default:
+                throw new Error(`Unknown analysis scheme "${scheme}", expected one of ${Object.keys(PhysicsAnalysis.SCHEMES).join(', ')}`);
+        }
+        return values;
+    }
+    
+    // Smallest and largest value, for fitting a legend to the data
+    static extent(values) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < min) min = values[i];
+            if (values[i] > max) max = values[i];
+        }
+        return values.length > 0 ? { min, max } : { min: 0, max: 0 };
+    }
+    
+    // Colour of value on a palette spanning min to max, as [r, g, b] between 0 and 1.
+    // Values outside the range get the end colours.
+    static colorFor(value, min, max, palette, target = [0, 0, 0]) {
+        const stops = PhysicsAnalysis.PALETTES[palette];
+        const t = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0;
+        const position = t * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - index;
+        
+        for (let k = 0; k < 3; k++) {
+            target[k] = stops[index][k] + (stops[index + 1][k] - stops[index][k]) * fraction;
+        }
+        return target;
+    }
+    
+    static buffer(target, length) {
+        return target && target.length === length ? target : new Float32Array(length);
+    }
+}
+
+// Colour schemes backed by simulation data. min and max are the default legend range;
+// springs marks schemes with a value per spring, velocities those a WorkerPhysicsEngine has
+// to send velocities back for.
+PhysicsAnalysis.SCHEMES = {
+    strain: { label: 'Strain', unit: 'ΔL/L', palette: 'diverging', min: -0.5, max: 0.5, springs: true },
+    tension: { label: 'Tension', unit: 'N', palette: 'diverging', min: -2, max: 2, springs: true },
+    kineticEnergy: { label: 'Kinetic Energy', unit: 'J', palette: 'sequential', min: 0, max: 200, velocities: true },
+    velocity: { label: 'Velocity', unit: 'm/s', palette: 'sequential', min: 0, max: 20, velocities: true },
+    displacement: { label: 'Displacement', unit: 'm', palette: 'sequential', min: 0, max: 10 }
+};
+
+// Evenly spaced colour stops. Diverging shows compression in blue and elongation in red.
+PhysicsAnalysis.PALETTES = {
+    sequential: [
+        [0.05, 0.10, 0.45],
+        [0.10, 0.45, 0.95],
+        [0.10, 0.85, 0.85],
+        [0.35, 0.90, 0.30],
+        [0.98, 0.85, 0.15],
+        [0.90, 0.15, 0.10]
+    ],
+    diverging: [
+        [0.15, 0.35, 0.95],
+        [0.85, 0.85, 0.85],
+        [0.95, 0.20, 0.15]
+    ]
+};
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsAnalysis;
+}
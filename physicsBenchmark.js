@@ -0,0 +1,131 @@
+// Scaling benchmark for the PhysicsEngine in Node.
+//
+//   node physicsBenchmark.js [--sizes 1000,5000,10000,50000] [--steps 60] [--integrator rk4]
+//
+// Builds synthetic cloth-like meshes of increasing vertex count (a square grid with
+// structural and shear springs, top row pinned), then times init and fixed steps.
+const PhysicsEngine = require('./physicsEngine.js');
+
+class PhysicsBenchmark {
+    // Grid mesh in the mesh_data.json format with roughly vertexCount vertices
+    static createMesh(vertexCount) {
+        const side = Math.max(2, Math.round(Math.sqrt(vertexCount)));
+        const spacing = PhysicsBenchmark.SPACING;
+        const vertices = [];
+        const edges = [];
+        const id = (row, column) => `v_${row}_${column}`;
+        
+        for (let row = 0; row < side; row++) {
+            for (let column = 0; column < side; column++) {
+                vertices.push({
+                    id: id(row, column),
+                    x: (column - side / 2) * spacing,
+                    y: 100 - row * spacing,
+                    z: 0,
+                    weight: 0.1,
+                    type: row === 0 ? 'joint' : 'surface',
+                    group: 'cloth'
+                });
+                
+                if (column + 1 < side) edges.push([id(row, column), id(row, column + 1)]);
+                if (row + 1 < side) edges.push([id(row, column), id(row + 1, column)]);
+                if (row + 1 < side && column + 1 < side) edges.push([id(row, column), id(row + 1, column + 1)]);
+            }
+        }
+        
+        return { vertices, edges, faces: [], physics: {} };
+    }
+    
+    // Time init and steps for one mesh size
+    static measure(vertexCount, steps, integrator) {
+        const meshData = PhysicsBenchmark.createMesh(vertexCount);
+        const engine = new PhysicsEngine();
+        
+        const initStart = performance.now();
+        engine.init(meshData);
+        const initTime = performance.now() - initStart;
+        
+        engine.setIntegrator(integrator);
+        engine.enable();
+        
+        // A few untimed steps so the JIT has settled
+        for (let i = 0; i < 5; i++) {
+            engine.update(engine.timeStep);
+        }
+        
+        const stepStart = performance.now();
+        for (let i = 0; i < steps; i++) {
+            engine.update(engine.timeStep);
+        }
+        const stepTime = (performance.now() - stepStart) / steps;
+        
+        return {
+            vertices: engine.count,
+            springs: engine.springCount,
+            initMs: initTime,
+            stepMs: stepTime
+        };
+    }
+    
+    static run(options = {}) {
+        const sizes = options.sizes || PhysicsBenchmark.DEFAULTS.sizes;
+        const steps = options.steps || PhysicsBenchmark.DEFAULTS.steps;
+        const integrator = options.integrator || PhysicsBenchmark.DEFAULTS.integrator;
+        
+        if (!PhysicsEngine.INTEGRATORS.includes(integrator)) {
+            throw new Error(`Unknown integrator "${integrator}", expected one of ${PhysicsEngine.INTEGRATORS.join(', ')}`);
+        }
+        
+        return sizes.map(size => PhysicsBenchmark.measure(size, steps, integrator));
+    }
+    
+    static format(results) {
+        const rows = results.map(result => [
+            String(result.vertices).padStart(8),
+            String(result.springs).padStart(8),
+            result.initMs.toFixed(1).padStart(9),
+            result.stepMs.toFixed(3).padStart(9),
+            (result.stepMs <= 1000 / 60 ? 'yes' : 'no').padStart(7)
+        ].join('  '));
+        
+        return ['vertices   springs   init ms   step ms   60 Hz', ...rows].join('\n');
+    }
+}
+
+PhysicsBenchmark.SPACING = 0.5; // Keeps a 50k grid above the ground plane
+PhysicsBenchmark.DEFAULTS = {
+    sizes: [1000, 5000, 10000, 50000],
+    steps: 60,
+    integrator: 'semi-implicit-euler'
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    
+    // The engine logs on every setting change
+    console.log = () => {};
+    
+    try {
+        const sizes = option('--sizes');
+        const steps = option('--steps');
+        const integrator = option('--integrator');
+        const results = PhysicsBenchmark.run({
+            sizes: sizes ? sizes.split(',').map(Number) : undefined,
+            steps: steps ? Number(steps) : undefined,
+            integrator
+        });
+        
+        process.stdout.write(`${PhysicsBenchmark.format(results)}\n`);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsBenchmark;
+}
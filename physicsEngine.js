@@ -1,15 +1,69 @@
+// Mass-spring simulation stored as a struct of arrays: mass i lives at index i of every
+// typed array (x, y, z interleaved for vectors), in the order of meshData.vertices.
+// Springs and constraints refer to masses by index; ids are only resolved at the API edge.
 class PhysicsEngine {
     constructor() {
         this.gravity = 9.8;
-        this.damping = 0.95;
+        this.gravityScale = 1.0; // Pose-dependent gravity effect
+        this.damping = 3.0; // Velocity decay rate per second: speed shrinks by exp(-damping * dt)
         this.stiffness = 0.15;
         this.enabled = false;
-        this.timeStep = 1/60; // 60 FPS
+        this.timeStep = 1/60; // Fixed simulation step, independent of the display refresh rate
+        this.substeps = 1; // Integration steps per fixed step, more keeps stiff springs stable
+        this.integrator = 'semi-implicit-euler'; // One of PhysicsEngine.INTEGRATORS
+        this.maxStepsPerUpdate = 8; // Drop simulation time beyond this so a slow frame cannot snowball
+        this.accumulator = 0; // Frame time not yet simulated
+        
+        // Read from the physics block of the mesh, see applyPhysicsSettings
+        this.groundLevel = 0; // Height of the ground plane, 'auto' in the mesh puts it under the lowest foot
+        this.groundRestitution = 0.7; // Share of the downward speed kept when bouncing off the ground
+        this.groundFriction = 0.1; // Share of the sliding speed lost on ground contact
+        this.constraintIterations = 3; // Upper bound on constraint passes per step
+        this.constraintTolerance = 0.001; // Stop iterating once no distance constraint is off by more
+        this.springSettings = { ...PhysicsEngine.DEFAULT_PHYSICS.springs };
+        this.bodyCollision = { ...PhysicsEngine.BODY_COLLISION };
+        
+        // Masses
+        this.count = 0;
+        this.ids = []; // Index -> vertex id
+        this.massIndex = new Map(); // Vertex id -> index
+        this.groups = [];
+        this.types = [];
+        this.positions = new Float64Array(0);
+        this.velocities = new Float64Array(0);
+        this.forces = new Float64Array(0);
+        this.previousPositions = new Float64Array(0); // Start of the step, used by Verlet
+        this.originalPositions = new Float64Array(0);
+        this.masses = new Float64Array(0);
+        this.inverseMasses = new Float64Array(0); // 0 for fixed masses
+        this.fixed = new Uint8Array(0);
+        
+        // Springs, one entry per edge
+        this.springCount = 0;
+        this.springA = new Int32Array(0);
+        this.springB = new Int32Array(0);
+        this.springRestLengths = new Float64Array(0);
+        this.springStiffness = new Float64Array(0);
+        this.springBaseStiffness = new Float64Array(0); // Spring type and group factors, scaled by stiffness
         
-        this.springs = [];
-        this.masses = [];
         this.constraints = [];
-        this.originalPositions = new Map(); // Store original positions
+        this.positionBuffer = null; // Float32Array returned by update
+        this.loads = new Map(); // Mass id -> sustained external force {x, y, z}
+        this.forceFields = []; // Wind and explosion fields acting every step, see addForceField
+        this.nextForceFieldId = 1;
+        this.time = 0; // Simulated seconds since init or reset, times gusts and explosions
+        this.grab = null; // Mouse spring: { massId, index, target, force } while a vertex is grabbed
+        this.authoredFixed = new Uint8Array(0); // Fixed flags as the mesh file sets them
+        this.pinPresets = { ...PhysicsEngine.PIN_PRESETS };
+        this.pinPreset = 'authored'; // Preset behind the current fixed set, null after pinning by hand
+        this.grabStiffness = 20; // Force per unit of distance between the cursor and the grabbed mass
+        this.grabDamping = 2; // Resists the grabbed mass's velocity so it does not overshoot the cursor
+        
+        // Body collisions: every vertex group gets a capsule that the other groups' vertices cannot enter
+        this.collisionDetection = false;
+        this.collisionProxies = [];
+        this.groupIndex = new Int32Array(0); // Mass index -> index of its group
+        this.proxyHash = new Map(); // Spatial hash cell -> indices of the proxies overlapping it
     }
     
     init(meshData) {
@@ -18,64 +72,251 @@ class PhysicsEngine {
         // Parse physics data from mesh
         this.parsePhysicsData(meshData);
         
-        console.log('Physics engine initialized with', this.masses.length, 'masses and', this.springs.length, 'springs');
+        console.log('Physics engine initialized with', this.count, 'masses and', this.springCount, 'springs');
     }
     
     parsePhysicsData(meshData) {
+        const vertices = meshData.vertices;
+        const n = vertices.length;
+        
         // Clear existing data
-        this.masses = [];
-        this.springs = [];
+        this.count = n;
+        this.ids = vertices.map(vertex => vertex.id);
+        this.massIndex = new Map(this.ids.map((id, i) => [id, i]));
+        this.groups = vertices.map(vertex => vertex.group);
+        this.types = vertices.map(vertex => vertex.type);
+        this.positions = new Float64Array(n * 3);
+        this.velocities = new Float64Array(n * 3);
+        this.forces = new Float64Array(n * 3);
+        this.previousPositions = new Float64Array(n * 3);
+        this.masses = new Float64Array(n);
+        this.inverseMasses = new Float64Array(n);
+        this.fixed = new Uint8Array(n);
         this.constraints = [];
-        this.originalPositions.clear();
+        this.positionBuffer = null;
+        this.loads.clear();
+        this.clearForceFields(); // Placed for the previous body
+        this.grab = null;
+        this.time = 0;
+        
+        const physics = meshData.physics || {};
+        this.applyPhysicsSettings(physics);
         
         // Create masses from vertices
-        meshData.vertices.forEach(vertex => {
-            const mass = {
-                id: vertex.id,
-                position: { x: vertex.x, y: vertex.y, z: vertex.z },
-                originalPosition: { x: vertex.x, y: vertex.y, z: vertex.z },
-                velocity: { x: 0, y: 0, z: 0 },
-                force: { x: 0, y: 0, z: 0 },
-                mass: vertex.weight * 10, // Scale weight to mass
-                fixed: vertex.type === 'joint' || vertex.group.includes('head'), // Joints and head are fixed
-                group: vertex.group,
-                type: vertex.type
-            };
-            
-            this.masses.push(mass);
-            this.originalPositions.set(vertex.id, { x: vertex.x, y: vertex.y, z: vertex.z });
+        vertices.forEach((vertex, i) => {
+            this.positions[i * 3] = vertex.x;
+            this.positions[i * 3 + 1] = vertex.y;
+            this.positions[i * 3 + 2] = vertex.z;
+            this.masses[i] = vertex.weight * 10; // Scale weight to mass
+        });
+        this.distributeMass(vertices, physics.massDistribution);
+        
+        if (typeof this.groundLevel !== 'number') {
+            this.groundLevel = this.findGroundLevel();
+        }
+        
+        // The vertex's own fixed flag wins over its group's, joints are fixed when neither says
+        this.authoredFixed = new Uint8Array(n);
+        vertices.forEach((vertex, i) => {
+            const fixed = vertex.fixed ?? meshData.groups?.[vertex.group]?.fixed ?? vertex.type === 'joint';
+            this.authoredFixed[i] = fixed ? 1 : 0;
+            this.setFixedAt(i, fixed);
         });
         
+        this.pinPresets = { ...PhysicsEngine.PIN_PRESETS, ...physics.pinPresets };
+        this.pinPreset = this.pinPresets[physics.pinPreset] ? physics.pinPreset : 'authored';
+        this.originalPositions = this.positions.slice();
+        this.previousPositions.set(this.positions);
+        
         // Create springs from edges
+        const springs = [];
         meshData.edges.forEach(edge => {
-            const v1 = this.masses.find(m => m.id === edge[0]);
-            const v2 = this.masses.find(m => m.id === edge[1]);
-            
-            if (v1 && v2) {
-                const dx = v2.position.x - v1.position.x;
-                const dy = v2.position.y - v1.position.y;
-                const dz = v2.position.z - v1.position.z;
-                const length = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                
-                const spring = {
-                    mass1: v1,
-                    mass2: v2,
-                    restLength: length,
-                    stiffness: (meshData.physics?.springs?.muscleTension || 0.3) * this.stiffness,
-                    damping: 0.1
-                };
-                
-                this.springs.push(spring);
+            const a = this.massIndex.get(edge[0]);
+            const b = this.massIndex.get(edge[1]);
+            if (a !== undefined && b !== undefined) {
+                springs.push([a, b]);
             }
         });
         
+        this.springCount = springs.length;
+        this.springA = new Int32Array(springs.map(spring => spring[0]));
+        this.springB = new Int32Array(springs.map(spring => spring[1]));
+        this.springRestLengths = new Float64Array(springs.map(([a, b]) => this.distanceBetween(a, b)));
+        this.springBaseStiffness = new Float64Array(springs.map(([a, b]) => this.springFactor(a, b, meshData.groups || {})));
+        this.springStiffness = this.springBaseStiffness.map(base => base * this.stiffness);
+        
         // Add constraints from biomechanical data
         if (meshData.metadata?.biomechanical?.jointConstraints) {
             this.addJointConstraints();
         }
         
+        // Add angular limits from the anatomical range of motion
+        if (meshData.metadata?.biomechanical?.rangeOfMotion !== false) {
+            this.addAngleConstraints(meshData);
+        }
+        
         // Add collision constraints for body parts
         this.addCollisionConstraints();
+        
+        // Fit collision volumes to the body parts in the rest pose
+        this.collisionDetection = meshData.metadata?.biomechanical?.collisionDetection === true;
+        this.buildCollisionProxies(meshData);
+    }
+    
+    // Global constants from the mesh's physics block, defaults for anything it leaves out
+    applyPhysicsSettings(physics) {
+        const defaults = PhysicsEngine.DEFAULT_PHYSICS;
+        const springs = { ...defaults.springs, ...physics.springs };
+        const constraints = { ...defaults.constraints, ...physics.constraints };
+        
+        this.gravity = physics.gravity ?? defaults.gravity;
+        this.damping = physics.damping ?? defaults.damping;
+        this.stiffness = physics.stiffness ?? springs.defaultStiffness;
+        this.groundLevel = physics.groundLevel ?? defaults.groundLevel;
+        this.groundRestitution = physics.collisionRestitution ?? defaults.collisionRestitution;
+        this.groundFriction = physics.groundFriction ?? defaults.groundFriction;
+        this.constraintIterations = Math.max(1, Math.round(constraints.maxIterations));
+        this.constraintTolerance = Math.max(0, constraints.tolerance);
+        this.springSettings = springs;
+        this.bodyCollision = { ...PhysicsEngine.BODY_COLLISION, ...physics.bodyCollision };
+    }
+    
+    // Share the body mass between segments by massDistribution, a fraction of the total
+    // per segment (per limb for arms, legs, hands and feet). Inside a segment the vertex
+    // weights decide the split. Groups outside every segment keep their weight based mass.
+    distributeMass(vertices, distribution) {
+        if (!distribution) return;
+        
+        const segments = PhysicsEngine.MASS_SEGMENTS.map(segment => ({ ...segment }));
+        const covered = new Set(segments.flatMap(segment => segment.groups));
+        
+        // Custom avatars may give fractions per group name
+        Object.keys(distribution).forEach(key => {
+            if (!covered.has(key)) segments.push({ region: key, groups: [key] });
+        });
+        
+        const used = segments
+            .filter(segment => typeof distribution[segment.region] === 'number')
+            .map(segment => ({
+                fraction: distribution[segment.region],
+                indices: vertices.map((vertex, i) => i).filter(i => segment.groups.includes(vertices[i].group))
+            }))
+            .filter(segment => segment.indices.length > 0);
+        
+        const totalMass = used.reduce((sum, segment) => sum + segment.indices.reduce((s, i) => s + this.masses[i], 0), 0);
+        const totalFraction = used.reduce((sum, segment) => sum + segment.fraction, 0);
+        if (totalMass <= 0 || totalFraction <= 0) return;
+        
+        used.forEach(segment => {
+            const segmentMass = totalMass * segment.fraction / totalFraction;
+            const segmentWeight = segment.indices.reduce((sum, i) => sum + vertices[i].weight, 0);
+            
+            segment.indices.forEach(i => {
+                const share = segmentWeight > 0 ? vertices[i].weight / segmentWeight : 1 / segment.indices.length;
+                this.masses[i] = segmentMass * share;
+            });
+        });
+    }
+    
+    // Stiffness of a spring before the global stiffness scale: tendons attach to a joint,
+    // everything else is muscle, times the mean stiffness of the groups at either end
+    springFactor(a, b, groups) {
+        const tendon = this.types[a] === 'joint' || this.types[b] === 'joint';
+        const typeFactor = tendon ? this.springSettings.tendonElasticity : this.springSettings.muscleTension;
+        const groupFactor = ((groups[this.groups[a]]?.stiffness ?? 1) + (groups[this.groups[b]]?.stiffness ?? 1)) / 2;
+        
+        return typeFactor * groupFactor;
+    }
+    
+    // Lowest point of the feet (any group named foot...), or of the whole mesh without feet
+    findGroundLevel() {
+        let lowest = Infinity;
+        let lowestFoot = Infinity;
+        for (let i = 0; i < this.count; i++) {
+            const y = this.positions[i * 3 + 1];
+            lowest = Math.min(lowest, y);
+            if (this.groups[i].includes('foot')) {
+                lowestFoot = Math.min(lowestFoot, y);
+            }
+        }
+        
+        if (lowestFoot !== Infinity) return lowestFoot;
+        return lowest !== Infinity ? lowest : 0;
+    }
+    
+    // Fixed masses have an inverse mass of 0, so forces cannot move them
+    setFixedAt(i, fixed) {
+        this.fixed[i] = fixed ? 1 : 0;
+        this.inverseMasses[i] = fixed ? 0 : 1 / this.masses[i];
+    }
+    
+    distanceBetween(a, b) {
+        const p = this.positions;
+        const dx = p[b * 3] - p[a * 3];
+        const dy = p[b * 3 + 1] - p[a * 3 + 1];
+        const dz = p[b * 3 + 2] - p[a * 3 + 2];
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    
+    // Position of mass i as an {x, y, z} object
+    getPosition(i) {
+        return { x: this.positions[i * 3], y: this.positions[i * 3 + 1], z: this.positions[i * 3 + 2] };
+    }
+    
+    setPosition(i, position) {
+        this.positions[i * 3] = position.x;
+        this.positions[i * 3 + 1] = position.y;
+        this.positions[i * 3 + 2] = position.z;
+    }
+    
+    addAngleConstraints(meshData) {
+        const rangeOfMotion = meshData.animation?.rangeOfMotion;
+        if (!rangeOfMotion) return;
+        
+        const jointLimits = meshData.animation?.jointLimits || PhysicsEngine.DEFAULT_JOINT_LIMITS;
+        const toRadians = degrees => degrees * Math.PI / 180;
+        
+        Object.entries(jointLimits).forEach(([jointId, limit]) => {
+            const range = rangeOfMotion[limit.range];
+            const parent = this.massIndex.get(limit.parent);
+            const joint = this.massIndex.get(jointId);
+            const child = this.massIndex.get(limit.child);
+            
+            if (!range || parent === undefined || joint === undefined || child === undefined) return;
+            
+            const restParent = PhysicsEngine.normalize(PhysicsEngine.subtract(this.getPosition(joint), this.getPosition(parent)));
+            const restChild = PhysicsEngine.normalize(PhysicsEngine.subtract(this.getPosition(child), this.getPosition(joint)));
+            
+            // Bend axis: explicit in the data, else the plane of the rest pose
+            let restAxis = limit.axis
+                ? { x: limit.axis[0], y: limit.axis[1], z: limit.axis[2] }
+                : PhysicsEngine.cross(restParent, restChild);
+            
+            if (PhysicsEngine.length(restAxis) < 1e-6) {
+                const helper = Math.abs(restParent.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 };
+                restAxis = PhysicsEngine.cross(restParent, helper);
+            }
+            
+            this.constraints.push({
+                type: 'angle',
+                name: limit.range,
+                hinge: limit.type === 'hinge',
+                parent,
+                joint,
+                child,
+                restParent,
+                restChild,
+                restAxis: PhysicsEngine.normalize(restAxis),
+                // x is flexion/extension in the bend plane, z is deviation out of it.
+                // Twist (y) cannot be expressed with point masses and is not enforced.
+                minX: toRadians(range.x[0]),
+                maxX: toRadians(range.x[1]),
+                minZ: toRadians(range.z[0]),
+                maxZ: toRadians(range.z[1]),
+                stiffness: 1.0,
+                atLimit: false
+            });
+        });
     }
     
     addJointConstraints() {
@@ -99,16 +340,16 @@ class PhysicsEngine {
         ];
         
         jointConstraints.forEach(([id1, id2, distance]) => {
-            const m1 = this.masses.find(m => m.id === id1);
-            const m2 = this.masses.find(m => m.id === id2);
+            const a = this.massIndex.get(id1);
+            const b = this.massIndex.get(id2);
             
-            if (m1 && m2) {
+            if (a !== undefined && b !== undefined) {
                 this.constraints.push({
                     type: 'distance',
-                    mass1: m1,
-                    mass2: m2,
+                    a,
+                    b,
                     distance: distance,
-                    stiffness: 0.9
+                    stiffness: this.springSettings.jointStiffness
                 });
             }
         });
@@ -116,131 +357,374 @@ class PhysicsEngine {
     
     addCollisionConstraints() {
         // Add simple ground collision constraint
-        const groundY = -50; // Ground level
+        const groundY = this.groundLevel;
         
-        this.masses.forEach(mass => {
-            if (!mass.fixed && mass.position.y < groundY) {
+        for (let i = 0; i < this.count; i++) {
+            if (!this.fixed[i] && this.positions[i * 3 + 1] < groundY) {
                 this.constraints.push({
                     type: 'collision',
-                    mass: mass,
+                    index: i,
                     groundY: groundY,
-                    restitution: 0.7
+                    restitution: this.groundRestitution
                 });
             }
-        });
+        }
     }
     
+    // Advance the simulation by frame time. Time is consumed in whole fixed steps and the
+    // remainder carries over to the next frame, so results do not depend on the frame rate.
+    // Returns the positions packed into a shared Float32Array (see writePositions) when
+    // at least one step ran, else null. The array is reused by the next update.
     update(deltaTime = this.timeStep) {
-        if (!this.enabled || deltaTime <= 0) return;
+        if (!this.enabled || deltaTime <= 0) return null;
+        
+        this.accumulator += deltaTime;
+        
+        let steps = 0;
+        while (this.accumulator >= this.timeStep && steps < this.maxStepsPerUpdate) {
+            const subStep = this.timeStep / this.substeps;
+            for (let i = 0; i < this.substeps; i++) {
+                this.step(subStep);
+            }
+            this.accumulator -= this.timeStep;
+            steps++;
+        }
+        
+        // Could not keep up, drop the backlog instead of falling further behind
+        if (steps === this.maxStepsPerUpdate) {
+            this.accumulator = Math.min(this.accumulator, this.timeStep);
+        }
         
-        // Apply forces
-        this.applyForces();
+        if (steps === 0) return null;
         
+        this.positionBuffer = this.writePositions(this.positionBuffer);
+        return this.positionBuffer;
+    }
+    
+    // One integration step of deltaTime seconds
+    step(deltaTime) {
         // Integrate velocities and positions
-        this.integrate(deltaTime);
+        if (this.integrator === 'rk4') {
+            this.integrateRK4(deltaTime);
+        } else if (this.integrator === 'verlet') {
+            this.applyForces();
+            this.integrateVerlet(deltaTime);
+        } else {
+            this.applyForces();
+            this.integrate(deltaTime);
+        }
         
         // Apply constraints
         this.applyConstraints();
         
+        // Verlet takes its velocity from the distance moved, constraint corrections included
+        if (this.integrator === 'verlet') {
+            this.updateVerletVelocities(deltaTime);
+        }
+        
         // Handle collisions
         this.handleCollisions();
         
-        // Clear forces for next frame
+        // Clear forces for next step
         this.clearForces();
-        
-        return this.getMassPositions();
+        this.time += deltaTime;
     }
     
     applyForces() {
+        const p = this.positions;
+        const v = this.velocities;
+        const f = this.forces;
+        
         // Apply gravity to all non-fixed masses
-        this.masses.forEach(mass => {
-            if (!mass.fixed) {
-                mass.force.y -= mass.mass * this.gravity;
+        const gravity = this.gravity * this.gravityScale;
+        for (let i = 0; i < this.count; i++) {
+            if (!this.fixed[i]) {
+                f[i * 3 + 1] -= this.masses[i] * gravity;
+            }
+        }
+        
+        // Apply sustained loads set up by the user
+        this.loads.forEach((load, massId) => {
+            const i = this.massIndex.get(massId);
+            if (i !== undefined && !this.fixed[i]) {
+                f[i * 3] += load.x;
+                f[i * 3 + 1] += load.y;
+                f[i * 3 + 2] += load.z;
             }
         });
         
-        // Apply spring forces
-        this.springs.forEach(spring => {
-            const dx = spring.mass2.position.x - spring.mass1.position.x;
-            const dy = spring.mass2.position.y - spring.mass1.position.y;
-            const dz = spring.mass2.position.z - spring.mass1.position.z;
+        this.applyForceFields();
+        
+        // Pull a grabbed mass toward the cursor
+        if (this.grab) {
+            const i = this.grab.index;
+            const force = this.grab.force;
+            force.x = this.grabStiffness * (this.grab.target.x - p[i * 3]) - this.grabDamping * v[i * 3];
+            force.y = this.grabStiffness * (this.grab.target.y - p[i * 3 + 1]) - this.grabDamping * v[i * 3 + 1];
+            force.z = this.grabStiffness * (this.grab.target.z - p[i * 3 + 2]) - this.grabDamping * v[i * 3 + 2];
+            
+            f[i * 3] += force.x;
+            f[i * 3 + 1] += force.y;
+            f[i * 3 + 2] += force.z;
+        }
+        
+        // Apply spring forces (Hooke's law along the spring)
+        for (let s = 0; s < this.springCount; s++) {
+            const a = this.springA[s];
+            const b = this.springB[s];
+            
+            const dx = p[b * 3] - p[a * 3];
+            const dy = p[b * 3 + 1] - p[a * 3 + 1];
+            const dz = p[b * 3 + 2] - p[a * 3 + 2];
             
             const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
             
             // Avoid division by zero
-            if (distance === 0) return;
+            if (distance === 0) continue;
+            
+            const forceMagnitude = this.springStiffness[s] * (distance - this.springRestLengths[s]);
+            const fx = forceMagnitude * (dx / distance);
+            const fy = forceMagnitude * (dy / distance);
+            const fz = forceMagnitude * (dz / distance);
             
-            const displacement = distance - spring.restLength;
+            if (!this.fixed[a]) {
+                f[a * 3] += fx;
+                f[a * 3 + 1] += fy;
+                f[a * 3 + 2] += fz;
+            }
             
-            // Spring force (Hooke's Law)
-            const forceMagnitude = spring.stiffness * displacement;
+            if (!this.fixed[b]) {
+                f[b * 3] -= fx;
+                f[b * 3 + 1] -= fy;
+                f[b * 3 + 2] -= fz;
+            }
+        }
+    }
+    
+    // Fraction of velocity left after deltaTime of damping
+    getDampingFactor(deltaTime) {
+        return Math.exp(-this.damping * deltaTime);
+    }
+    
+    // Semi-implicit (symplectic) Euler: velocity first, then position with the new velocity
+    integrate(deltaTime) {
+        const dampingFactor = this.getDampingFactor(deltaTime);
+        const p = this.positions;
+        const v = this.velocities;
+        const f = this.forces;
+        
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
             
-            // Normalize direction vector
-            const dirX = dx / distance;
-            const dirY = dy / distance;
-            const dirZ = dz / distance;
+            const inverseMass = this.inverseMasses[i];
+            for (let k = i * 3; k < i * 3 + 3; k++) {
+                // v = (v0 + a*dt) * damping, then x = x0 + v*dt
+                v[k] = (v[k] + f[k] * inverseMass * deltaTime) * dampingFactor;
+                p[k] += v[k] * deltaTime;
+            }
+        }
+    }
+    
+    // Position Verlet: x1 = x0 + (x0 - x-1) * damping + a*dt². The previous position is
+    // rebuilt from the velocity, so reset, dragging and collisions need no extra bookkeeping.
+    integrateVerlet(deltaTime) {
+        const dampingFactor = this.getDampingFactor(deltaTime);
+        const dt2 = deltaTime * deltaTime;
+        const p = this.positions;
+        
+        this.previousPositions.set(p);
+        
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
             
-            // Apply forces to masses
-            if (!spring.mass1.fixed) {
-                spring.mass1.force.x += forceMagnitude * dirX;
-                spring.mass1.force.y += forceMagnitude * dirY;
-                spring.mass1.force.z += forceMagnitude * dirZ;
+            const inverseMass = this.inverseMasses[i];
+            for (let k = i * 3; k < i * 3 + 3; k++) {
+                p[k] += this.velocities[k] * deltaTime * dampingFactor + this.forces[k] * inverseMass * dt2;
             }
+        }
+    }
+    
+    updateVerletVelocities(deltaTime) {
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
             
-            if (!spring.mass2.fixed) {
-                spring.mass2.force.x -= forceMagnitude * dirX;
-                spring.mass2.force.y -= forceMagnitude * dirY;
-                spring.mass2.force.z -= forceMagnitude * dirZ;
+            for (let k = i * 3; k < i * 3 + 3; k++) {
+                this.velocities[k] = (this.positions[k] - this.previousPositions[k]) / deltaTime;
             }
-        });
+        }
     }
     
-    integrate(deltaTime) {
-        this.masses.forEach(mass => {
-            if (mass.fixed) return;
-            
-            // Calculate acceleration (a = F/m)
-            const ax = mass.force.x / mass.mass;
-            const ay = mass.force.y / mass.mass;
-            const az = mass.force.z / mass.mass;
-            
-            // Update velocity (v = v0 + a*dt)
-            mass.velocity.x += ax * deltaTime;
-            mass.velocity.y += ay * deltaTime;
-            mass.velocity.z += az * deltaTime;
-            
-            // Apply damping
-            mass.velocity.x *= this.damping;
-            mass.velocity.y *= this.damping;
-            mass.velocity.z *= this.damping;
-            
-            // Update position (x = x0 + v*dt)
-            mass.position.x += mass.velocity.x * deltaTime;
-            mass.position.y += mass.velocity.y * deltaTime;
-            mass.position.z += mass.velocity.z * deltaTime;
-        });
+    // Classic fourth-order Runge-Kutta. Forces are evaluated at four trial states,
+    // so springs, loads and the grab spring all see the intermediate positions.
+    integrateRK4(deltaTime) {
+        const p = this.positions;
+        const v = this.velocities;
+        const f = this.forces;
+        const startPositions = p.slice();
+        const startVelocities = v.slice();
+        
+        // One-off forces added before the step (wind, applyForce) act on every trial state
+        const external = f.slice();
+        
+        // Derivatives (velocity, acceleration) at the current trial state
+        const evaluate = () => {
+            f.set(external);
+            this.applyForces();
+            
+            const derivative = { velocity: v.slice(), acceleration: new Float64Array(f.length) };
+            for (let i = 0; i < this.count; i++) {
+                for (let k = i * 3; k < i * 3 + 3; k++) {
+                    derivative.acceleration[k] = f[k] * this.inverseMasses[i];
+                }
+            }
+            return derivative;
+        };
+        
+        // Move every free mass to start + derivative * h
+        const setTrialState = (derivative, h) => {
+            for (let i = 0; i < this.count; i++) {
+                if (this.fixed[i]) continue;
+                
+                for (let k = i * 3; k < i * 3 + 3; k++) {
+                    p[k] = startPositions[k] + derivative.velocity[k] * h;
+                    v[k] = startVelocities[k] + derivative.acceleration[k] * h;
+                }
+            }
+        };
+        
+        const k1 = evaluate();
+        setTrialState(k1, deltaTime / 2);
+        const k2 = evaluate();
+        setTrialState(k2, deltaTime / 2);
+        const k3 = evaluate();
+        setTrialState(k3, deltaTime);
+        const k4 = evaluate();
+        
+        const dampingFactor = this.getDampingFactor(deltaTime);
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
+            
+            for (let k = i * 3; k < i * 3 + 3; k++) {
+                const velocity = (k1.velocity[k] + 2 * k2.velocity[k] + 2 * k3.velocity[k] + k4.velocity[k]) / 6;
+                const acceleration = (k1.acceleration[k] + 2 * k2.acceleration[k] + 2 * k3.acceleration[k] + k4.acceleration[k]) / 6;
+                
+                p[k] = startPositions[k] + velocity * deltaTime;
+                v[k] = (startVelocities[k] + acceleration * deltaTime) * dampingFactor;
+            }
+        }
     }
     
     applyConstraints() {
-        // Apply distance constraints
-        for (let i = 0; i < 3; i++) { // Multiple iterations for better convergence
+        this.constraints.forEach(constraint => {
+            if (constraint.type === 'angle') {
+                constraint.atLimit = false;
+            }
+        });
+        
+        // Apply distance and angle constraints
+        for (let i = 0; i < this.constraintIterations; i++) { // Multiple iterations for better convergence
+            let largestError = 0;
+            let limitHit = false;
+            
             this.constraints.forEach(constraint => {
                 if (constraint.type === 'distance') {
-                    this.applyDistanceConstraint(constraint);
+                    largestError = Math.max(largestError, this.applyDistanceConstraint(constraint));
+                } else if (constraint.type === 'angle') {
+                    if (this.applyAngleConstraint(constraint)) {
+                        constraint.atLimit = true;
+                        limitHit = true;
+                    }
                 }
             });
+            
+            // Converged, further passes would not move anything noticeably
+            if (largestError < this.constraintTolerance && !limitHit) break;
+        }
+    }
+    
+    // Returns true when the joint was outside its range of motion
+    applyAngleConstraint(constraint) {
+        const V = PhysicsEngine;
+        const parent = this.getPosition(constraint.parent);
+        const joint = this.getPosition(constraint.joint);
+        const child = this.getPosition(constraint.child);
+        
+        const parentVector = V.subtract(joint, parent);
+        const childVector = V.subtract(child, joint);
+        const childLength = V.length(childVector);
+        
+        if (V.length(parentVector) === 0 || childLength === 0) return false;
+        
+        // Carry the rest frame along with the parent bone
+        const boneDirection = V.normalize(parentVector);
+        const restChild = V.rotateBetween(constraint.restChild, constraint.restParent, boneDirection);
+        const axis = V.rotateBetween(constraint.restAxis, constraint.restParent, boneDirection);
+        
+        // Hinges measure bend from a straight limb, ball joints from the rest pose
+        const e1 = constraint.hinge ? boneDirection : restChild;
+        const e3 = V.normalize(V.subtract(axis, V.scale(e1, V.dot(axis, e1))));
+        if (V.length(e3) === 0) return false;
+        const e2 = V.cross(e3, e1);
+        
+        const direction = V.scale(childVector, 1 / childLength);
+        const angleX = Math.atan2(V.dot(direction, e2), V.dot(direction, e1));
+        const angleZ = Math.asin(Math.max(-1, Math.min(1, V.dot(direction, e3))));
+        
+        const clampedX = Math.max(constraint.minX, Math.min(constraint.maxX, angleX));
+        const clampedZ = Math.max(constraint.minZ, Math.min(constraint.maxZ, angleZ));
+        
+        // Small tolerance so limbs resting exactly on a limit do not count as violations
+        if (Math.abs(clampedX - angleX) < 1e-4 && Math.abs(clampedZ - angleZ) < 1e-4) return false;
+        
+        const target = V.add(
+            V.add(V.scale(e1, Math.cos(clampedZ) * Math.cos(clampedX)), V.scale(e2, Math.cos(clampedZ) * Math.sin(clampedX))),
+            V.scale(e3, Math.sin(clampedZ))
+        );
+        
+        // Rotate the child back into range, or the parent the other way if the child is pinned
+        const rotationAxis = V.normalize(V.cross(direction, target));
+        const angle = Math.acos(Math.max(-1, Math.min(1, V.dot(direction, target))));
+        if (V.length(rotationAxis) === 0 || angle === 0) return true;
+        
+        const childFixed = this.fixed[constraint.child];
+        const parentFixed = this.fixed[constraint.parent];
+        const childShare = childFixed ? 0 : (parentFixed ? 1 : 0.5);
+        const parentShare = parentFixed ? 0 : 1 - childShare;
+        
+        if (childShare > 0) {
+            const rotated = V.rotateAround(childVector, rotationAxis, angle * childShare * constraint.stiffness);
+            this.setPosition(constraint.child, V.add(joint, rotated));
         }
+        
+        if (parentShare > 0) {
+            const rotated = V.rotateAround(V.scale(parentVector, -1), rotationAxis, -angle * parentShare * constraint.stiffness);
+            this.setPosition(constraint.parent, V.add(joint, rotated));
+        }
+        
+        return true;
     }
     
+    // Ids of joints that hit their range of motion limit in the last step
+    getJointsAtLimit() {
+        return this.constraints
+            .filter(constraint => constraint.type === 'angle' && constraint.atLimit)
+            .map(constraint => this.ids[constraint.joint]);
+    }
+    
+    // Returns how far the distance was off before the correction
     applyDistanceConstraint(constraint) {
-        const dx = constraint.mass2.position.x - constraint.mass1.position.x;
-        const dy = constraint.mass2.position.y - constraint.mass1.position.y;
-        const dz = constraint.mass2.position.z - constraint.mass1.position.z;
+        const p = this.positions;
+        const a = constraint.a * 3;
+        const b = constraint.b * 3;
+        
+        const dx = p[b] - p[a];
+        const dy = p[b + 1] - p[a + 1];
+        const dz = p[b + 2] - p[a + 2];
         
         const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
         
         // Avoid division by zero
-        if (distance === 0) return;
+        if (distance === 0) return 0;
         
         const diff = (distance - constraint.distance) / distance;
         
@@ -248,45 +732,294 @@ class PhysicsEngine {
         const adjustY = dy * diff * 0.5 * constraint.stiffness;
         const adjustZ = dz * diff * 0.5 * constraint.stiffness;
         
-        if (!constraint.mass1.fixed) {
-            constraint.mass1.position.x += adjustX;
-            constraint.mass1.position.y += adjustY;
-            constraint.mass1.position.z += adjustZ;
+        if (!this.fixed[constraint.a]) {
+            p[a] += adjustX;
+            p[a + 1] += adjustY;
+            p[a + 2] += adjustZ;
         }
         
-        if (!constraint.mass2.fixed) {
-            constraint.mass2.position.x -= adjustX;
-            constraint.mass2.position.y -= adjustY;
-            constraint.mass2.position.z -= adjustZ;
+        if (!this.fixed[constraint.b]) {
+            p[b] -= adjustX;
+            p[b + 1] -= adjustY;
+            p[b + 2] -= adjustZ;
         }
+        
+        return Math.abs(distance - constraint.distance);
     }
     
-    handleCollisions() {
-        const groundY = -50; // Ground level
+    // Fit a capsule to every vertex group. Its axis runs between the centroids of the
+    // vertices at either end of the group's longest extent, so it follows the part as the
+    // mesh deforms; the radius stays at the rest pose value.
+    buildCollisionProxies(meshData) {
+        const settings = this.bodyCollision;
+        const groupNames = Array.from(new Set(this.groups));
+        const nameIndex = new Map(groupNames.map((name, i) => [name, i]));
+        const members = groupNames.map(() => []);
         
-        this.masses.forEach(mass => {
-            if (!mass.fixed && mass.position.y < groundY) {
-                // Move mass above ground
-                mass.position.y = groundY;
-                
-                // Apply restitution (bounce)
-                mass.velocity.y = -mass.velocity.y * 0.7;
-                
-                // Add some friction
-                mass.velocity.x *= 0.9;
-                mass.velocity.z *= 0.9;
+        this.groupIndex = new Int32Array(this.count);
+        this.groups.forEach((group, i) => {
+            this.groupIndex[i] = nameIndex.get(group);
+            members[this.groupIndex[i]].push(i);
+        });
+        
+        this.collisionProxies = [];
+        members.forEach((indices, g) => {
+            if (indices.length < 2) return;
+            
+            const centroid = this.centroidOf(indices);
+            const axis = this.principalAxis(indices, centroid);
+            const along = indices.map(i => PhysicsEngine.dot(PhysicsEngine.subtract(this.getPosition(i), centroid), axis));
+            const min = along.reduce((low, value) => Math.min(low, value), Infinity);
+            const max = along.reduce((high, value) => Math.max(high, value), -Infinity);
+            const third = (max - min) / 3;
+            
+            // A compact group becomes a sphere: both ends are the whole group
+            const compact = max - min < settings.minRadius * 2;
+            const proxy = {
+                group: groupNames[g],
+                groupIndex: g,
+                endA: Int32Array.from(compact ? indices : indices.filter((i, k) => along[k] <= min + third)),
+                endB: Int32Array.from(compact ? indices : indices.filter((i, k) => along[k] >= max - third)),
+                a: { x: 0, y: 0, z: 0 },
+                b: { x: 0, y: 0, z: 0 },
+                radius: 0,
+                ignoreGroups: new Uint8Array(groupNames.length), // Groups whose vertices pass through
+                ignoreMasses: new Set() // Vertices that start inside the proxy
+            };
+            this.updateProxyAxis(proxy);
+            
+            const meanDistance = indices.reduce((sum, i) => sum + this.distanceToProxyAxis(i, proxy), 0) / indices.length;
+            proxy.radius = Math.max(settings.minRadius, meanDistance * settings.radiusScale);
+            proxy.ignoreGroups[g] = 1;
+            this.collisionProxies.push(proxy);
+        });
+        
+        // Parts joined by an edge overlap at the seam, let them pass
+        meshData.edges.forEach(edge => {
+            const a = this.massIndex.get(edge[0]);
+            const b = this.massIndex.get(edge[1]);
+            if (a === undefined || b === undefined) return;
+            
+            this.collisionProxies.forEach(proxy => {
+                if (proxy.groupIndex === this.groupIndex[a]) proxy.ignoreGroups[this.groupIndex[b]] = 1;
+                if (proxy.groupIndex === this.groupIndex[b]) proxy.ignoreGroups[this.groupIndex[a]] = 1;
+            });
+        });
+        
+        // Overlaps in the rest pose are part of the shape, not contacts to resolve
+        this.collisionProxies.forEach(proxy => {
+            for (let i = 0; i < this.count; i++) {
+                if (!proxy.ignoreGroups[this.groupIndex[i]] && this.distanceToProxyAxis(i, proxy) < proxy.radius) {
+                    proxy.ignoreMasses.add(i);
+                }
             }
         });
     }
     
-    clearForces() {
-        this.masses.forEach(mass => {
-            mass.force.x = 0;
-            mass.force.y = 0;
-            mass.force.z = 0;
+    centroidOf(indices) {
+        const sum = { x: 0, y: 0, z: 0 };
+        indices.forEach(i => {
+            sum.x += this.positions[i * 3];
+            sum.y += this.positions[i * 3 + 1];
+            sum.z += this.positions[i * 3 + 2];
+        });
+        return PhysicsEngine.scale(sum, 1 / indices.length);
+    }
+    
+    // Direction of largest spread, by power iteration on the covariance matrix
+    principalAxis(indices, centroid) {
+        const c = [0, 0, 0, 0, 0, 0]; // xx, xy, xz, yy, yz, zz
+        indices.forEach(i => {
+            const d = PhysicsEngine.subtract(this.getPosition(i), centroid);
+            c[0] += d.x * d.x; c[1] += d.x * d.y; c[2] += d.x * d.z;
+            c[3] += d.y * d.y; c[4] += d.y * d.z; c[5] += d.z * d.z;
+        });
+        
+        let axis = { x: 0.3, y: 1, z: 0.1 };
+        for (let k = 0; k < 16; k++) {
+            const next = PhysicsEngine.normalize({
+                x: c[0] * axis.x + c[1] * axis.y + c[2] * axis.z,
+                y: c[1] * axis.x + c[3] * axis.y + c[4] * axis.z,
+                z: c[2] * axis.x + c[4] * axis.y + c[5] * axis.z
+            });
+            if (PhysicsEngine.length(next) === 0) break;
+            axis = next;
+        }
+        return PhysicsEngine.normalize(axis);
+    }
+    
+    // Move the capsule ends to the current centroids of the end vertices
+    updateProxyAxis(proxy) {
+        const p = this.positions;
+        [[proxy.endA, proxy.a], [proxy.endB, proxy.b]].forEach(([indices, end]) => {
+            end.x = 0;
+            end.y = 0;
+            end.z = 0;
+            for (let k = 0; k < indices.length; k++) {
+                end.x += p[indices[k] * 3];
+                end.y += p[indices[k] * 3 + 1];
+                end.z += p[indices[k] * 3 + 2];
+            }
+            end.x /= indices.length;
+            end.y /= indices.length;
+            end.z /= indices.length;
         });
     }
     
+    // Parameter along the capsule axis (0 at a, 1 at b) of the point closest to mass i
+    closestAxisParameter(i, proxy) {
+        const abx = proxy.b.x - proxy.a.x;
+        const aby = proxy.b.y - proxy.a.y;
+        const abz = proxy.b.z - proxy.a.z;
+        const lengthSq = abx*abx + aby*aby + abz*abz;
+        if (lengthSq === 0) return 0;
+        
+        const t = ((this.positions[i * 3] - proxy.a.x) * abx +
+            (this.positions[i * 3 + 1] - proxy.a.y) * aby +
+            (this.positions[i * 3 + 2] - proxy.a.z) * abz) / lengthSq;
+        return Math.max(0, Math.min(1, t));
+    }
+    
+    distanceToProxyAxis(i, proxy) {
+        const t = this.closestAxisParameter(i, proxy);
+        const dx = this.positions[i * 3] - (proxy.a.x + (proxy.b.x - proxy.a.x) * t);
+        const dy = this.positions[i * 3 + 1] - (proxy.a.y + (proxy.b.y - proxy.a.y) * t);
+        const dz = this.positions[i * 3 + 2] - (proxy.a.z + (proxy.b.z - proxy.a.z) * t);
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    
+    // Integer cell coordinates folded into one number. Distinct cells may share a key,
+    // which only adds candidates for the exact test.
+    hashCell(x, y, z) {
+        const size = this.bodyCollision.cellSize;
+        return (Math.floor(x / size) * 73856093) ^ (Math.floor(y / size) * 19349663) ^ (Math.floor(z / size) * 83492791);
+    }
+    
+    // Broad phase: register every proxy in the cells its bounding box covers
+    updateProxyHash() {
+        const size = this.bodyCollision.cellSize;
+        this.proxyHash.clear();
+        
+        this.collisionProxies.forEach((proxy, index) => {
+            this.updateProxyAxis(proxy);
+            
+            const r = proxy.radius;
+            const min = [Math.min(proxy.a.x, proxy.b.x) - r, Math.min(proxy.a.y, proxy.b.y) - r, Math.min(proxy.a.z, proxy.b.z) - r];
+            const max = [Math.max(proxy.a.x, proxy.b.x) + r, Math.max(proxy.a.y, proxy.b.y) + r, Math.max(proxy.a.z, proxy.b.z) + r];
+            
+            for (let x = Math.floor(min[0] / size); x <= Math.floor(max[0] / size); x++) {
+                for (let y = Math.floor(min[1] / size); y <= Math.floor(max[1] / size); y++) {
+                    for (let z = Math.floor(min[2] / size); z <= Math.floor(max[2] / size); z++) {
+                        const key = this.hashCell(x * size, y * size, z * size);
+                        const cell = this.proxyHash.get(key);
+                        if (!cell) {
+                            this.proxyHash.set(key, [index]);
+                        } else if (cell[cell.length - 1] !== index) {
+                            cell.push(index);
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    // Push free vertices out of the other body parts' capsules
+    handleBodyCollisions() {
+        this.updateProxyHash();
+        
+        const p = this.positions;
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
+            
+            const candidates = this.proxyHash.get(this.hashCell(p[i * 3], p[i * 3 + 1], p[i * 3 + 2]));
+            if (!candidates) continue;
+            
+            for (let k = 0; k < candidates.length; k++) {
+                const proxy = this.collisionProxies[candidates[k]];
+                if (!proxy.ignoreGroups[this.groupIndex[i]] && !proxy.ignoreMasses.has(i)) {
+                    this.resolveProxyContact(i, proxy);
+                }
+            }
+        }
+    }
+    
+    resolveProxyContact(i, proxy) {
+        const { friction, restitution } = this.bodyCollision;
+        const p = this.positions;
+        const v = this.velocities;
+        
+        const t = this.closestAxisParameter(i, proxy);
+        const qx = proxy.a.x + (proxy.b.x - proxy.a.x) * t;
+        const qy = proxy.a.y + (proxy.b.y - proxy.a.y) * t;
+        const qz = proxy.a.z + (proxy.b.z - proxy.a.z) * t;
+        
+        const dx = p[i * 3] - qx;
+        const dy = p[i * 3 + 1] - qy;
+        const dz = p[i * 3 + 2] - qz;
+        const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+        if (distance >= proxy.radius || distance === 0) return;
+        
+        // Move onto the surface
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const nz = dz / distance;
+        p[i * 3] = qx + nx * proxy.radius;
+        p[i * 3 + 1] = qy + ny * proxy.radius;
+        p[i * 3 + 2] = qz + nz * proxy.radius;
+        
+        // Bounce the inward velocity, slow the sliding velocity
+        const normalSpeed = v[i * 3] * nx + v[i * 3 + 1] * ny + v[i * 3 + 2] * nz;
+        const normalScale = normalSpeed < 0 ? -restitution * normalSpeed : normalSpeed;
+        const tangentScale = 1 - friction;
+        v[i * 3] = nx * normalScale + (v[i * 3] - nx * normalSpeed) * tangentScale;
+        v[i * 3 + 1] = ny * normalScale + (v[i * 3 + 1] - ny * normalSpeed) * tangentScale;
+        v[i * 3 + 2] = nz * normalScale + (v[i * 3 + 2] - nz * normalSpeed) * tangentScale;
+    }
+    
+    // Current capsules as { group, a, b, radius }
+    getCollisionProxies() {
+        return this.collisionProxies.map(proxy => ({
+            group: proxy.group,
+            a: { ...proxy.a },
+            b: { ...proxy.b },
+            radius: proxy.radius
+        }));
+    }
+    
+    setCollisionDetection(enabled) {
+        this.collisionDetection = Boolean(enabled);
+        console.log('Body collisions', this.collisionDetection ? 'enabled' : 'disabled');
+    }
+    
+    handleCollisions() {
+        if (this.collisionDetection && this.collisionProxies.length > 0) {
+            this.handleBodyCollisions();
+        }
+        
+        const groundY = this.groundLevel;
+        const slide = 1 - this.groundFriction;
+        const p = this.positions;
+        const v = this.velocities;
+        
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i] || p[i * 3 + 1] >= groundY) continue;
+            
+            // Move mass above ground
+            p[i * 3 + 1] = groundY;
+            
+            // Apply restitution (bounce)
+            v[i * 3 + 1] = -v[i * 3 + 1] * this.groundRestitution;
+            
+            // Add some friction
+            v[i * 3] *= slide;
+            v[i * 3 + 2] *= slide;
+        }
+    }
+    
+    clearForces() {
+        this.forces.fill(0);
+    }
+    
     enable() {
         this.enabled = true;
         console.log('Physics engine enabled');
@@ -302,49 +1035,161 @@ class PhysicsEngine {
         console.log('Gravity set to:', value, 'm/s²');
     }
     
+    setGravityScale(scale) {
+        this.gravityScale = Math.max(0, scale);
+        console.log('Gravity effect set to:', this.gravityScale);
+    }
+    
+    // Pack the positions into a Float32Array as x, y, z per mass, in mesh vertex order.
+    // target is reused when it has the right length.
+    writePositions(target) {
+        const positions = target && target.length === this.positions.length
+            ? target
+            : new Float32Array(this.positions.length);
+        
+        positions.set(this.positions);
+        return positions;
+    }
+    
+    // Positions as [{ id, position }]. Allocates, prefer update's packed array every frame.
     getMassPositions() {
-        return this.masses.map(mass => ({
-            id: mass.id,
-            position: { ...mass.position }
+        return this.ids.map((id, i) => ({
+            id,
+            position: this.getPosition(i)
         }));
     }
     
+    // Move a mass to a new position (e.g. after posing) and let it settle from rest
+    setMassPosition(massId, position) {
+        const i = this.massIndex.get(massId);
+        if (i === undefined) return;
+        
+        this.setPosition(i, position);
+        this.velocities.fill(0, i * 3, i * 3 + 3);
+    }
+    
     applyForce(massId, force) {
-        const mass = this.masses.find(m => m.id === massId);
-        if (mass && !mass.fixed) {
-            mass.force.x += force.x;
-            mass.force.y += force.y;
-            mass.force.z += force.z;
+        const i = this.massIndex.get(massId);
+        if (i !== undefined && !this.fixed[i]) {
+            this.forces[i * 3] += force.x;
+            this.forces[i * 3 + 1] += force.y;
+            this.forces[i * 3 + 2] += force.z;
             console.log(`Applied force to ${massId}:`, force);
         }
     }
     
     applyImpulse(massId, impulse) {
-        const mass = this.masses.find(m => m.id === massId);
-        if (mass && !mass.fixed) {
-            mass.velocity.x += impulse.x / mass.mass;
-            mass.velocity.y += impulse.y / mass.mass;
-            mass.velocity.z += impulse.z / mass.mass;
+        const i = this.massIndex.get(massId);
+        if (i !== undefined && !this.fixed[i]) {
+            this.velocities[i * 3] += impulse.x / this.masses[i];
+            this.velocities[i * 3 + 1] += impulse.y / this.masses[i];
+            this.velocities[i * 3 + 2] += impulse.z / this.masses[i];
             console.log(`Applied impulse to ${massId}:`, impulse);
         }
     }
     
+    // Keep applying force to a mass every step until the load is cleared
+    setLoad(massId, force) {
+        if (!this.massIndex.has(massId)) return false;
+        
+        if (force.x === 0 && force.y === 0 && force.z === 0) {
+            this.loads.delete(massId);
+        } else {
+            this.loads.set(massId, { x: force.x, y: force.y, z: force.z });
+        }
+        return true;
+    }
+    
+    clearLoad(massId) {
+        return this.loads.delete(massId);
+    }
+    
+    getLoad(massId) {
+        return this.loads.get(massId) || null;
+    }
+    
+    getLoads() {
+        return Array.from(this.loads, ([id, force]) => ({ id, force }));
+    }
+    
+    // Attach a temporary spring between a free mass and target (the cursor)
+    startGrab(massId, target) {
+        const index = this.massIndex.get(massId);
+        if (index === undefined || this.fixed[index]) return false;
+        
+        this.grab = {
+            massId,
+            index,
+            target: { x: target.x, y: target.y, z: target.z },
+            force: { x: 0, y: 0, z: 0 }
+        };
+        return true;
+    }
+    
+    moveGrab(target) {
+        if (!this.grab) return;
+        
+        this.grab.target.x = target.x;
+        this.grab.target.y = target.y;
+        this.grab.target.z = target.z;
+    }
+    
+    endGrab() {
+        this.grab = null;
+    }
+    
+    // Spring force applied to the grabbed mass in the last step
+    getGrabForce() {
+        return this.grab ? this.grab.force : null;
+    }
+    
+    // Named presets as [{ name, label }]
+    getPinPresets() {
+        return Object.entries(this.pinPresets).map(([name, preset]) => ({ name, label: preset.label || name }));
+    }
+    
+    // Rebuild the fixed set from a preset. A mass is pinned when its group, type or id is
+    // listed; the authored preset restores the mesh's own flags.
+    applyPinPreset(name) {
+        const preset = this.pinPresets[name];
+        if (!preset) return false;
+        
+        const groups = preset.groups || [];
+        const types = preset.types || [];
+        const ids = preset.vertices || [];
+        
+        for (let i = 0; i < this.count; i++) {
+            const fixed = preset.authored
+                ? this.authoredFixed[i] === 1
+                : groups.includes(this.groups[i]) || types.includes(this.types[i]) || ids.includes(this.ids[i]);
+            
+            // Newly pinned masses stay where they are
+            if (fixed && !this.fixed[i]) {
+                this.velocities.fill(0, i * 3, i * 3 + 3);
+            }
+            this.setFixedAt(i, fixed);
+        }
+        
+        if (this.grab && this.fixed[this.grab.index]) {
+            this.grab = null;
+        }
+        
+        this.pinPreset = name;
+        console.log(`Pin preset ${name}: ${this.getFixedMassIds().length} fixed masses`);
+        return true;
+    }
+    
+    getFixedMassIds() {
+        return this.ids.filter((id, i) => this.fixed[i]);
+    }
+    
     reset() {
         // Reset all masses to original positions
-        this.masses.forEach(mass => {
-            const originalPos = this.originalPositions.get(mass.id);
-            if (originalPos) {
-                mass.position.x = originalPos.x;
-                mass.position.y = originalPos.y;
-                mass.position.z = originalPos.z;
-            }
-            mass.velocity.x = 0;
-            mass.velocity.y = 0;
-            mass.velocity.z = 0;
-            mass.force.x = 0;
-            mass.force.y = 0;
-            mass.force.z = 0;
-        });
+        this.positions.set(this.originalPositions);
+        this.velocities.fill(0);
+        this.forces.fill(0);
+        this.accumulator = 0;
+        this.time = 0; // Timed force fields fire again
         
         console.log('Physics engine reset to initial state');
     }
@@ -352,82 +1197,458 @@ class PhysicsEngine {
     setStiffness(stiffness) {
         this.stiffness = Math.max(0, Math.min(1, stiffness));
         
-        // Update all springs
-        this.springs.forEach(spring => {
-            spring.stiffness = this.stiffness;
-        });
+        // Rescale every spring, keeping its type and group factors
+        for (let s = 0; s < this.springCount; s++) {
+            this.springStiffness[s] = this.springBaseStiffness[s] * this.stiffness;
+        }
         
         console.log('Stiffness set to:', stiffness);
     }
     
+    // Damping as a decay rate per second, 0 disables it
     setDamping(damping) {
-        this.damping = Math.max(0, Math.min(1, damping));
-        console.log('Damping set to:', damping);
+        this.damping = Math.max(0, damping);
+        console.log('Damping set to:', this.damping, '/s');
+    }
+    
+    setIntegrator(integrator) {
+        if (!PhysicsEngine.INTEGRATORS.includes(integrator)) return false;
+        
+        this.integrator = integrator;
+        console.log('Integrator set to:', integrator);
+        return true;
+    }
+    
+    setSubsteps(substeps) {
+        this.substeps = Math.max(1, Math.round(substeps) || 1);
+        console.log('Substeps set to:', this.substeps);
     }
     
     getPhysicsData() {
         return {
             enabled: this.enabled,
             gravity: this.gravity,
+            gravityScale: this.gravityScale,
             damping: this.damping,
             stiffness: this.stiffness,
-            massCount: this.masses.length,
-            springCount: this.springs.length,
-            constraintCount: this.constraints.length
+            integrator: this.integrator,
+            timeStep: this.timeStep,
+            substeps: this.substeps,
+            massCount: this.count,
+            springCount: this.springCount,
+            constraintCount: this.constraints.length,
+            constraintIterations: this.constraintIterations,
+            groundLevel: this.groundLevel,
+            collisionDetection: this.collisionDetection,
+            pinPreset: this.pinPreset,
+            fixedCount: this.fixed.reduce((sum, fixed) => sum + fixed, 0),
+            collisionProxyCount: this.collisionProxies.length,
+            loadCount: this.loads.size,
+            forceFieldCount: this.forceFields.length,
+            time: this.time
+        };
+    }
+    
+    // What the simulation has changed since init, as plain JSON keyed by mass id: the clock,
+    // positions and velocities as [x, y, z], and the pinned set. Settings, loads and force
+    // fields have their own getters.
+    getSimulationState() {
+        const vectors = (array) => Object.fromEntries(this.ids.map((id, i) => [id, [array[i * 3], array[i * 3 + 1], array[i * 3 + 2]]]));
+        return {
+            time: this.time,
+            accumulator: this.accumulator,
+            positions: vectors(this.positions),
+            velocities: vectors(this.velocities),
+            fixed: this.getFixedMassIds(),
+            pinPreset: this.pinPreset
         };
     }
     
-    // Method to get vertex by ID
+    // Continue from a getSimulationState() snapshot. Masses it does not list keep their
+    // position and velocity; the fixed set is replaced when it has one.
+    setSimulationState(state) {
+        if (!state) return false;
+        
+        const write = (array, vectors) => {
+            Object.entries(vectors || {}).forEach(([id, vector]) => {
+                const i = this.massIndex.get(id);
+                if (i === undefined) return;
+                array[i * 3] = vector[0];
+                array[i * 3 + 1] = vector[1];
+                array[i * 3 + 2] = vector[2];
+            });
+        };
+        write(this.positions, state.positions);
+        write(this.velocities, state.velocities);
+        
+        if (Array.isArray(state.fixed)) {
+            const fixed = new Set(state.fixed);
+            this.ids.forEach((id, i) => this.setFixedAt(i, fixed.has(id)));
+            this.pinPreset = state.pinPreset !== undefined ? state.pinPreset : null;
+        }
+        
+        this.time = Number.isFinite(state.time) ? state.time : 0;
+        this.accumulator = Number.isFinite(state.accumulator) ? state.accumulator : 0;
+        this.forces.fill(0);
+        this.grab = null;
+        return true;
+    }
+    
+    // Snapshot of one mass: { id, index, mass, fixed, group, type, position, velocity }.
+    // Changing it does not affect the simulation, use the setters for that.
     getMassById(id) {
-        return this.masses.find(m => m.id === id);
+        const i = this.massIndex.get(id);
+        if (i === undefined) return null;
+        
+        return {
+            id,
+            index: i,
+            mass: this.masses[i],
+            fixed: Boolean(this.fixed[i]),
+            group: this.groups[i],
+            type: this.types[i],
+            position: this.getPosition(i),
+            velocity: { x: this.velocities[i * 3], y: this.velocities[i * 3 + 1], z: this.velocities[i * 3 + 2] }
+        };
     }
     
     // Method to toggle fixed state of a mass
     toggleFixed(massId) {
-        const mass = this.getMassById(massId);
-        if (mass) {
-            mass.fixed = !mass.fixed;
-            console.log(`${massId} fixed state: ${mass.fixed}`);
-            return mass.fixed;
+        const i = this.massIndex.get(massId);
+        if (i === undefined) return null;
+        
+        this.setFixedAt(i, !this.fixed[i]);
+        this.pinPreset = null;
+        
+        // A freshly pinned mass stays where it is
+        if (this.fixed[i]) {
+            this.velocities.fill(0, i * 3, i * 3 + 3);
+        }
+        console.log(`${massId} fixed state: ${Boolean(this.fixed[i])}`);
+        return Boolean(this.fixed[i]);
+    }
+    
+    // Add a force field that acts on every step until removed:
+    //   { type: 'wind', force: {x, y, z}, gust, gustFrequency, turbulence }
+    //   { type: 'explosion' | 'implosion', center: {x, y, z}, radius, strength }
+    // Any field can also have start and duration in simulated seconds, duration 0 keeps it on.
+    // Missing values come from PhysicsEngine.FORCE_FIELDS. Returns a copy of the stored field
+    // with its id, or null for an unknown type.
+    addForceField(field) {
+        const defaults = PhysicsEngine.FORCE_FIELDS[field.type];
+        if (!defaults) return null;
+        
+        const stored = { id: this.nextForceFieldId++, type: field.type, start: this.time };
+        this.mergeForceField(stored, defaults);
+        this.forceFields.push(this.mergeForceField(stored, field));
+        
+        console.log(`Added ${field.type} field ${stored.id}`);
+        return this.copyForceField(stored);
+    }
+    
+    // Change some values of a field; switching between explosion and implosion is allowed
+    updateForceField(id, changes) {
+        const field = this.forceFields.find(candidate => candidate.id === id);
+        if (!field) return null;
+        
+        const radial = (type) => type === 'explosion' || type === 'implosion';
+        if (changes.type && changes.type !== field.type) {
+            if (!radial(changes.type) || !radial(field.type)) return null;
+            field.type = changes.type;
+        }
+        
+        this.mergeForceField(field, changes);
+        return this.copyForceField(field);
+    }
+    
+    removeForceField(id) {
+        const index = this.forceFields.findIndex(field => field.id === id);
+        if (index === -1) return false;
+        
+        this.forceFields.splice(index, 1);
+        console.log(`Removed force field ${id}`);
+        return true;
+    }
+    
+    clearForceFields() {
+        this.forceFields = [];
+        this.nextForceFieldId = 1;
+    }
+    
+    // Replace every field with saved ones (getForceFields copies), keeping their ids so they
+    // can still be updated and removed by id. Fields without a usable id get new ones after
+    // the saved ids, unknown types are skipped. Returns the fields as stored.
+    setForceFields(fields) {
+        this.clearForceFields();
+        const usable = (id) => Number.isInteger(id) && id > 0;
+        let next = fields.reduce((max, field) => (usable(field.id) ? Math.max(max, field.id) : max), 0) + 1;
+        
+        fields.forEach(field => {
+            const taken = this.forceFields.some(stored => stored.id === field.id);
+            this.nextForceFieldId = usable(field.id) && !taken ? field.id : next++;
+            this.addForceField(field);
+        });
+        this.nextForceFieldId = next;
+        return this.getForceFields();
+    }
+    
+    getForceFields() {
+        return this.forceFields.map(field => this.copyForceField(field));
+    }
+    
+    // Copy the values a field of its type uses, vectors by value. Vectors may be partial,
+    // anything that is not a finite number keeps the current value.
+    mergeForceField(field, values) {
+        const number = (value, current) => (Number.isFinite(value) ? value : current);
+        
+        Object.keys(PhysicsEngine.FORCE_FIELDS[field.type]).concat('start').forEach(key => {
+            const value = values[key];
+            const current = field[key];
+            
+            if (value && typeof value === 'object') {
+                field[key] = {
+                    x: number(value.x, current ? current.x : 0),
+                    y: number(value.y, current ? current.y : 0),
+                    z: number(value.z, current ? current.z : 0)
+                };
+            } else {
+                field[key] = number(value, current);
+            }
+        });
+        return field;
+    }
+    
+    copyForceField(field) {
+        const copy = { ...field, active: this.isForceFieldActive(field) };
+        ['force', 'center'].forEach(key => {
+            if (copy[key]) copy[key] = { ...copy[key] };
+        });
+        return copy;
+    }
+    
+    isForceFieldActive(field) {
+        return this.time >= field.start && (!field.duration || this.time < field.start + field.duration);
+    }
+    
+    applyForceFields() {
+        this.forceFields.forEach(field => {
+            if (!this.isForceFieldActive(field)) return;
+            
+            if (field.type === 'wind') {
+                this.applyWindField(field);
+            } else {
+                const sign = field.type === 'implosion' ? -1 : 1;
+                this.applyExplosion(field.center, field.radius, sign * field.strength);
+            }
+        });
+    }
+    
+    // Wind whose strength swells periodically (gust is the extra share at the peak) and
+    // varies across the body (turbulence is the share added as smooth noise in space and time).
+    // The noise is a function of position and simulated time, so runs repeat exactly.
+    applyWindField(field) {
+        const { scale, frequency } = PhysicsEngine.TURBULENCE;
+        const force = field.force;
+        const gust = 1 + field.gust * 0.5 * (1 - Math.cos(2 * Math.PI * field.gustFrequency * (this.time - field.start)));
+        const turbulence = field.turbulence * PhysicsEngine.length(force) * gust;
+        const phase = 2 * Math.PI * frequency * this.time;
+        
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
+            
+            let ax = force.x * gust;
+            let ay = force.y * gust;
+            let az = force.z * gust;
+            
+            if (turbulence > 0) {
+                const x = this.positions[i * 3] * scale;
+                const y = this.positions[i * 3 + 1] * scale;
+                const z = this.positions[i * 3 + 2] * scale;
+                ax += turbulence * Math.sin(y + phase) * Math.cos(z - 0.7 * phase);
+                ay += turbulence * Math.sin(z + 1.3 * phase + 2) * Math.cos(x - 0.5 * phase);
+                az += turbulence * Math.sin(x + 0.9 * phase + 4) * Math.cos(y - 1.1 * phase);
+            }
+            
+            this.forces[i * 3] += ax * this.masses[i];
+            this.forces[i * 3 + 1] += ay * this.masses[i];
+            this.forces[i * 3 + 2] += az * this.masses[i];
         }
-        return null;
     }
     
     // Method to simulate wind force
     applyWind(windForce) {
-        this.masses.forEach(mass => {
-            if (!mass.fixed) {
-                mass.force.x += windForce.x * mass.mass;
-                mass.force.y += windForce.y * mass.mass;
-                mass.force.z += windForce.z * mass.mass;
+        for (let i = 0; i < this.count; i++) {
+            if (!this.fixed[i]) {
+                this.forces[i * 3] += windForce.x * this.masses[i];
+                this.forces[i * 3 + 1] += windForce.y * this.masses[i];
+                this.forces[i * 3 + 2] += windForce.z * this.masses[i];
             }
-        });
+        }
     }
     
     // Method to simulate explosion/implosion at a point
     applyExplosion(center, radius, force) {
-        this.masses.forEach(mass => {
-            if (!mass.fixed) {
-                const dx = mass.position.x - center.x;
-                const dy = mass.position.y - center.y;
-                const dz = mass.position.z - center.z;
-                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+        for (let i = 0; i < this.count; i++) {
+            if (this.fixed[i]) continue;
+            
+            const dx = this.positions[i * 3] - center.x;
+            const dy = this.positions[i * 3 + 1] - center.y;
+            const dz = this.positions[i * 3 + 2] - center.z;
+            const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+            
+            if (distance < radius && distance > 0) {
+                const attenuation = (radius - distance) / radius;
+                const scale = force * attenuation * this.masses[i] / distance;
                 
-                if (distance < radius && distance > 0) {
-                    const attenuation = (radius - distance) / radius;
-                    const dirX = dx / distance;
-                    const dirY = dy / distance;
-                    const dirZ = dz / distance;
-                    
-                    mass.force.x += dirX * force * attenuation * mass.mass;
-                    mass.force.y += dirY * force * attenuation * mass.mass;
-                    mass.force.z += dirZ * force * attenuation * mass.mass;
-                }
+                this.forces[i * 3] += dx * scale;
+                this.forces[i * 3 + 1] += dy * scale;
+                this.forces[i * 3 + 2] += dz * scale;
             }
-        });
+        }
+    }
+    
+    // Small vector helpers for the angular constraints
+    static add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+    
+    static subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+    
+    static scale(v, s) {
+        return { x: v.x * s, y: v.y * s, z: v.z * s };
+    }
+    
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+    
+    static cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+    
+    static length(v) {
+        return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    }
+    
+    static normalize(v) {
+        const length = PhysicsEngine.length(v);
+        return length > 0 ? PhysicsEngine.scale(v, 1 / length) : { x: 0, y: 0, z: 0 };
+    }
+    
+    // Rodrigues rotation of v around a unit axis
+    static rotateAround(v, axis, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const cross = PhysicsEngine.cross(axis, v);
+        const dot = PhysicsEngine.dot(axis, v);
+        
+        return {
+            x: v.x * cos + cross.x * sin + axis.x * dot * (1 - cos),
+            y: v.y * cos + cross.y * sin + axis.y * dot * (1 - cos),
+            z: v.z * cos + cross.z * sin + axis.z * dot * (1 - cos)
+        };
+    }
+    
+    // Apply the shortest rotation taking unit vector from onto unit vector to
+    static rotateBetween(v, from, to) {
+        const axis = PhysicsEngine.cross(from, to);
+        const sin = PhysicsEngine.length(axis);
+        const cos = PhysicsEngine.dot(from, to);
+        
+        if (sin < 1e-9) return { x: v.x, y: v.y, z: v.z };
+        
+        return PhysicsEngine.rotateAround(v, PhysicsEngine.scale(axis, 1 / sin), Math.atan2(sin, cos));
     }
 }
 
+PhysicsEngine.INTEGRATORS = ['semi-implicit-euler', 'verlet', 'rk4'];
+
+// Used for anything the mesh's physics block leaves out
+PhysicsEngine.DEFAULT_PHYSICS = {
+    gravity: 9.8,
+    damping: 3.0,
+    groundLevel: 'auto',
+    collisionRestitution: 0.7,
+    groundFriction: 0.1,
+    springs: {
+        muscleTension: 0.3, // Springs between soft tissue vertices
+        tendonElasticity: 0.8, // Springs attached to a joint
+        jointStiffness: 0.9, // Distance constraints between major joints
+        defaultStiffness: 0.15 // Global stiffness scale when physics.stiffness is missing
+    },
+    constraints: {
+        maxIterations: 3,
+        tolerance: 0.001
+    }
+};
+
+// Fixed sets selectable at runtime, physics.pinPresets in the mesh adds to them
+PhysicsEngine.PIN_PRESETS = {
+    'authored': { label: 'As authored', authored: true },
+    'hang-from-head': { label: 'Hang from head', groups: ['head'] },
+    'feet-planted': { label: 'Feet planted', groups: ['foot_left', 'foot_right'] },
+    'hands-pinned': { label: 'Hands pinned', groups: ['hand_left', 'hand_right'] },
+    'none': { label: 'Nothing pinned' }
+};
+
+// Body segments that massDistribution fractions refer to. Limb fractions are per limb.
+PhysicsEngine.MASS_SEGMENTS = [
+    { region: 'head', groups: ['head', 'neck'] },
+    { region: 'torso', groups: ['shoulder_left', 'shoulder_right', 'clavicle', 'chest', 'back', 'waist', 'hips', 'hip_left', 'hip_right'] },
+    { region: 'arms', groups: ['arm_left'] },
+    { region: 'arms', groups: ['arm_right'] },
+    { region: 'hands', groups: ['hand_left'] },
+    { region: 'hands', groups: ['hand_right'] },
+    { region: 'legs', groups: ['leg_left'] },
+    { region: 'legs', groups: ['leg_right'] },
+    { region: 'feet', groups: ['foot_left'] },
+    { region: 'feet', groups: ['foot_right'] }
+];
+
+// Force field types and their default values, see addForceField. Forces are accelerations,
+// applied times each mass like applyWind and applyExplosion.
+PhysicsEngine.FORCE_FIELDS = {
+    wind: { force: { x: 20, y: 0, z: 0 }, gust: 0.5, gustFrequency: 0.5, turbulence: 0.3, duration: 0 },
+    explosion: { center: { x: 0, y: 0, z: 0 }, radius: 40, strength: 300, duration: 0.2 },
+    implosion: { center: { x: 0, y: 0, z: 0 }, radius: 40, strength: 150, duration: 0.5 }
+};
+
+// Spatial frequency (per mesh unit) and rate (Hz) of the wind turbulence noise
+PhysicsEngine.TURBULENCE = { scale: 0.08, frequency: 1.5 };
+
+// Body part collision volumes and their contact response, physics.bodyCollision overrides them
+PhysicsEngine.BODY_COLLISION = {
+    radiusScale: 0.75, // Fraction of a group's mean distance from its axis, keeps the capsule inside the surface
+    minRadius: 1,
+    friction: 0.3, // Share of the sliding velocity removed on contact
+    restitution: 0, // Body contacts do not bounce
+    cellSize: 10 // Spatial hash cell edge, in mesh units
+};
+
+// Joint triplets for the default avatar, used when the mesh file defines no jointLimits
+PhysicsEngine.DEFAULT_JOINT_LIMITS = {
+    neck_top_center: { parent: 'neck_base_center', child: 'head_back_bottom', range: 'head', type: 'ball' },
+    neck_base_center: { parent: 'spine_center', child: 'neck_top_center', range: 'neck', type: 'ball' },
+    arm_left_shoulder: { parent: 'shoulder_left_top', child: 'arm_left_upper_1', range: 'shoulders', type: 'ball' },
+    arm_left_elbow: { parent: 'arm_left_upper_3', child: 'arm_left_lower_1', range: 'elbows', type: 'hinge', axis: [1, 0, 0] },
+    arm_left_wrist: { parent: 'arm_left_lower_2', child: 'hand_left_palm', range: 'wrists', type: 'ball' },
+    leg_left_hip: { parent: 'hip_left', child: 'leg_left_upper_1', range: 'hips', type: 'ball' },
+    leg_left_knee: { parent: 'leg_left_upper_3', child: 'leg_left_lower_1', range: 'knees', type: 'hinge', axis: [-1, 0, 0] },
+    leg_left_ankle: { parent: 'leg_left_lower_2', child: 'foot_left_heel', range: 'ankles', type: 'ball' },
+    arm_right_shoulder: { parent: 'shoulder_right_top', child: 'arm_right_upper_1', range: 'shoulders', type: 'ball' },
+    arm_right_elbow: { parent: 'arm_right_upper_3', child: 'arm_right_lower_1', range: 'elbows', type: 'hinge', axis: [1, 0, 0] },
+    arm_right_wrist: { parent: 'arm_right_lower_2', child: 'hand_right_palm', range: 'wrists', type: 'ball' },
+    leg_right_hip: { parent: 'hip_right', child: 'leg_right_upper_1', range: 'hips', type: 'ball' },
+    leg_right_knee: { parent: 'leg_right_upper_3', child: 'leg_right_lower_1', range: 'knees', type: 'hinge', axis: [-1, 0, 0] },
+    leg_right_ankle: { parent: 'leg_right_lower_2', child: 'foot_right_heel', range: 'ankles', type: 'ball' }
+};
+
 // Export for use in main app
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PhysicsEngine;
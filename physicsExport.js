@@ -0,0 +1,226 @@
+// Time series of a PhysicsRecorder recording for analysis outside the viewer: per vertex
+// position, velocity and net force, per spring length and tension, as JSON or CSV in a long
+// (one value per row) or wide (one frame per row) layout. Works in the browser and in Node
+// (physicsRunner.js --export).
+class PhysicsExport {
+    // Export recorder's frames for the masses named in selection (vertex ids and group names,
+    // empty for all). Returns { content, type, extension }.
+    static export(recorder, format = 'json', selection = [], options = {}) {
+        const writer = PhysicsExport.FORMATS[format];
+        if (!writer) {
+            throw new Error(`Unknown export format "${format}", expected one of ${Object.keys(PhysicsExport.FORMATS).join(', ')}`);
+        }
+        
+        const series = PhysicsExport.collect(recorder, selection, options);
+        return {
+            content: writer.layout ? PhysicsExport.toCSV(series, writer.layout) : PhysicsExport.toJSON(series),
+            type: writer.type,
+            extension: writer.extension
+        };
+    }
+    
+    // Mass indices for vertex ids and group names, in engine order
+    static selectMasses(engine, selection = []) {
+        if (selection.length === 0) {
+            return engine.ids.map((id, i) => i);
+        }
+        
+        const chosen = new Set();
+        selection.forEach(name => {
+            const index = engine.massIndex.get(name);
+            if (index !== undefined) {
+                chosen.add(index);
+                return;
+            }
+            
+            const before = chosen.size;
+            engine.groups.forEach((group, i) => {
+                if (group === name) chosen.add(i);
+            });
+            if (chosen.size === before) {
+                throw new Error(`Unknown vertex or group "${name}"`);
+            }
+        });
+        return [...chosen].sort((a, b) => a - b);
+    }
+    
+    // Series of the chosen masses and of the springs attached to them (options.springs = false
+    // leaves springs out). Forces are net forces, m·Δv/Δt over the frame; null on the first
+    // frame and right after a reset or moved mass, where the velocity jumps.
+    static collect(recorder, selection = [], options = {}) {
+        const engine = recorder.engine;
+        if (!engine || recorder.frames.length === 0) {
+            throw new Error('Nothing recorded to export');
+        }
+        
+        const masses = PhysicsExport.selectMasses(engine, selection);
+        const chosen = new Set(masses);
+        const springs = [];
+        if (options.springs !== false) {
+            for (let s = 0; s < engine.springCount; s++) {
+                if (chosen.has(engine.springA[s]) || chosen.has(engine.springB[s])) springs.push(s);
+            }
+        }
+        
+        const round = PhysicsExport.round;
+        const stiffness = PhysicsExport.stiffnessPerFrame(recorder);
+        const jumps = new Set(recorder.events
+            .filter(event => PhysicsExport.DISCONTINUITIES.includes(event.method))
+            .map(event => event.frame));
+        
+        const vertices = masses.map(i => ({
+            id: engine.ids[i],
+            group: engine.groups[i],
+            mass: engine.masses[i],
+            position: [],
+            velocity: [],
+            force: []
+        }));
+        const springSeries = springs.map(s => ({
+            id: `${engine.ids[engine.springA[s]]}-${engine.ids[engine.springB[s]]}`,
+            a: engine.ids[engine.springA[s]],
+            b: engine.ids[engine.springB[s]],
+            restLength: engine.springRestLengths[s],
+            length: [],
+            tension: []
+        }));
+        
+        let p = null;
+        let v = null;
+        let previousVelocities = null;
+        recorder.frames.forEach((frame, k) => {
+            [v, previousVelocities] = [previousVelocities, v];
+            p = recorder.getPositions(k, p);
+            v = recorder.getVelocities(k, v);
+            const previous = k > 0 && !jumps.has(k) ? recorder.frames[k - 1] : null;
+            const dt = previous ? frame.time - previous.time : 0;
+            
+            masses.forEach((i, n) => {
+                const j = i * 3;
+                const series = vertices[n];
+                series.position.push([round(p[j]), round(p[j + 1]), round(p[j + 2])]);
+                series.velocity.push([round(v[j]), round(v[j + 1]), round(v[j + 2])]);
+                series.force.push(dt > 0
+                    ? [0, 1, 2].map(axis => round(series.mass * (v[j + axis] - previousVelocities[j + axis]) / dt))
+                    : null);
+            });
+            
+            springs.forEach((s, n) => {
+                const a = engine.springA[s] * 3;
+                const b = engine.springB[s] * 3;
+                const length = Math.hypot(p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]);
+                const tension = engine.springBaseStiffness[s] * stiffness[k] * (length - engine.springRestLengths[s]);
+                springSeries[n].length.push(round(length));
+                springSeries[n].tension.push(round(tension));
+            });
+        });
+        
+        // Settings when recording started; later changes are in the events
+        const { enabled, time, ...parameters } = recorder.parameters;
+        return {
+            metadata: {
+                ...parameters,
+                frames: recorder.frames.length,
+                duration: round(recorder.getDuration())
+            },
+            time: recorder.frames.map(frame => round(frame.time)),
+            vertices,
+            springs: springSeries,
+            events: recorder.events
+        };
+    }
+    
+    // Global stiffness in effect for each frame, following setStiffness calls made while recording
+    static stiffnessPerFrame(recorder) {
+        const values = new Float64Array(recorder.frames.length);
+        const changes = recorder.events.filter(event => event.method === 'setStiffness');
+        let stiffness = recorder.parameters.stiffness;
+        let next = 0;
+        
+        for (let k = 0; k < values.length; k++) {
+            while (next < changes.length && changes[next].frame <= k) {
+                stiffness = Math.max(0, Math.min(1, changes[next].args[0]));
+                next++;
+            }
+            values[k] = stiffness;
+        }
+        return values;
+    }
+    
+    // Vertices and springs keyed by id
+    static toJSON(series) {
+        const byId = (list) => Object.fromEntries(list.map(({ id, ...data }) => [id, data]));
+        return JSON.stringify({
+            metadata: series.metadata,
+            time: series.time,
+            vertices: byId(series.vertices),
+            springs: byId(series.springs),
+            events: series.events
+        });
+    }
+    
+    // Metadata and events go first as # comment lines (pandas: read_csv(..., comment='#'))
+    static toCSV(series, layout) {
+        const lines = Object.entries(series.metadata).map(([key, value]) => `# ${key}: ${value}`);
+        series.events.forEach(event => {
+            lines.push(`# event frame ${event.frame} (${PhysicsExport.round(event.time)}s): ${event.method} ${JSON.stringify(event.args)}`);
+        });
+        
+        // Every column as [kind, id, quantity, value at frame k]
+        const columns = [];
+        series.vertices.forEach(vertex => {
+            ['position', 'velocity', 'force'].forEach(quantity => {
+                ['x', 'y', 'z'].forEach((axis, a) => {
+                    columns.push(['vertex', vertex.id, `${quantity}_${axis}`, k => vertex[quantity][k] ? vertex[quantity][k][a] : '']);
+                });
+            });
+        });
+        series.springs.forEach(spring => {
+            ['length', 'tension'].forEach(quantity => {
+                columns.push(['spring', spring.id, quantity, k => spring[quantity][k]]);
+            });
+        });
+        
+        const field = PhysicsExport.csvField;
+        if (layout === 'long') {
+            lines.push('frame,time,kind,id,quantity,value');
+            series.time.forEach((time, k) => {
+                columns.forEach(([kind, id, quantity, value]) => {
+                    lines.push(`${k},${time},${kind},${field(id)},${quantity},${value(k)}`);
+                });
+            });
+        } else {
+            lines.push(['frame', 'time', ...columns.map(([kind, id, quantity]) => field(`${id}.${quantity}`))].join(','));
+            series.time.forEach((time, k) => {
+                lines.push([k, time, ...columns.map(column => column[3](k))].join(','));
+            });
+        }
+        return `${lines.join('\n')}\n`;
+    }
+    
+    static csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    // Recorded frames are quantized (PhysicsRecorder.POSITION_STEP), more digits would only be noise
+    static round(value) {
+        return Number(value.toPrecision(PhysicsExport.PRECISION));
+    }
+}
+
+PhysicsExport.FORMATS = {
+    json: { type: 'application/json', extension: 'json' },
+    'csv-long': { type: 'text/csv', extension: 'csv', layout: 'long' },
+    'csv-wide': { type: 'text/csv', extension: 'csv', layout: 'wide' }
+};
+
+PhysicsExport.PRECISION = 7;
+
+// Calls after which velocities jump, so Δv/Δt is no force
+PhysicsExport.DISCONTINUITIES = ['reset', 'setMassPosition'];
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsExport;
+}
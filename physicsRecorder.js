@@ -0,0 +1,463 @@
+// Records what a PhysicsEngine produces and plays it back frame by frame.
+// While recording, every position buffer update() returns is stored together with the
+// velocities, and calls that change parameters or apply forces are logged with the frame
+// they precede. Every KEYFRAME_INTERVAL frames (and whenever a frame jumps too far) the
+// full state is kept; the frames between hold only the change from the frame before,
+// quantized to POSITION_STEP and VELOCITY_STEP, and only for the values that changed when
+// few did. Recording stops at MAX_BYTES. Playback hands the stored frames to onFrame (scrub,
+// step, speed and loop as in AnimationTimeline) while the simulation itself stays disabled.
+class PhysicsRecorder {
+    constructor() {
+        this.engine = null;
+        this.ids = [];
+        this.origin = null; // originalPositions when recording started, keyframe positions are relative to these
+        this.parameters = null; // getPhysicsData() when recording started
+        this.frames = []; // { time, key, positions, velocities } in recording order, see capture
+        this.events = []; // { frame, time, method, args }: before frames[frame] was stepped
+        this.bytes = 0; // Memory taken by the stored frames
+        this.lastKey = 0; // Index of the newest keyframe
+        this.previous = null; // { positions, velocities } of the newest frame as decoded, the next frame is stored against it
+        this.decoded = { index: -1, positions: null, velocities: null }; // Frame decoded last for reading
+        
+        this.recording = false;
+        this.truncated = false; // Recording was stopped by MAX_BYTES, not by stop()
+        this.elapsed = 0; // Simulated seconds recorded so far
+        this.engineTime = 0; // engine.time at the last frame
+        this.depth = 0; // Calls made by a recorded call are part of it, not events of their own
+        this.restore = []; // Puts the engine methods back on stop
+        
+        this.playback = false; // The recording drives the renderer instead of the engine
+        this.playing = false;
+        this.loop = true;
+        this.speed = 1.0;
+        this.currentFrame = 0;
+        this.currentTime = 0;
+        this.positionBuffer = null; // Positions of the frame on show, reused
+        this.velocityBuffer = null;
+        
+        this.onFrame = null; // Called with the packed positions and the index of the frame on show
+        this.onStateChange = null; // Called when recording, playback or the frame change
+    }
+    
+    // Record engine from its current state on, replacing any previous recording
+    start(engine) {
+        this.stop();
+        this.stopPlayback();
+        
+        this.engine = engine;
+        this.ids = engine.ids.slice();
+        this.origin = Float64Array.from(engine.originalPositions);
+        this.parameters = engine.getPhysicsData();
+        this.frames = [];
+        this.events = [];
+        this.bytes = 0;
+        this.lastKey = 0;
+        this.previous = { positions: new Float64Array(this.origin.length), velocities: new Float64Array(this.origin.length) };
+        this.decoded = { index: -1, positions: null, velocities: null };
+        this.truncated = false;
+        this.elapsed = 0;
+        this.engineTime = engine.time;
+        this.currentFrame = 0;
+        this.currentTime = 0;
+        
+        PhysicsRecorder.RECORDED_METHODS.forEach(method => this.wrap(method, true));
+        this.wrap('update', false);
+        this.recording = true;
+        
+        this.capture(engine.positions); // Frame 0 is the state recording started from
+        return true;
+    }
+    
+    stop() {
+        if (!this.recording) return false;
+        
+        this.restore.forEach(restore => restore());
+        this.restore = [];
+        this.recording = false;
+        this.notifyStateChange();
+        return true;
+    }
+    
+    clear() {
+        this.stop();
+        this.stopPlayback();
+        this.engine = null;
+        this.ids = [];
+        this.frames = [];
+        this.events = [];
+        this.bytes = 0;
+        this.previous = null;
+        this.decoded = { index: -1, positions: null, velocities: null };
+        this.truncated = false;
+        this.elapsed = 0;
+        this.currentFrame = 0;
+        this.currentTime = 0;
+        this.notifyStateChange();
+    }
+    
+    // Route engine[method] through the recorder; update() captures each returned frame
+    wrap(method, record) {
+        const engine = this.engine;
+        if (typeof engine[method] !== 'function') return;
+        
+        const own = Object.prototype.hasOwnProperty.call(engine, method);
+        const original = engine[method];
+        
+        engine[method] = (...args) => {
+            if (record && this.depth === 0) {
+                this.recordEvent(method, args);
+            }
+            
+            this.depth++;
+            let result;
+            try {
+                result = original.apply(engine, args);
+            } finally {
+                this.depth--;
+            }
+            
+            if (method === 'update' && result) {
+                this.capture(result);
+            }
+            return result;
+        };
+        
+        this.restore.push(() => {
+            if (own) {
+                engine[method] = original;
+            } else {
+                delete engine[method];
+            }
+        });
+    }
+    
+    recordEvent(method, args) {
+        this.events.push({
+            frame: this.frames.length,
+            time: this.elapsed,
+            method,
+            args: JSON.parse(JSON.stringify(args)) // Later changes to the caller's objects stay out
+        });
+    }
+    
+    // Store one frame of packed positions (engine vertex order) and the engine's velocities.
+    // A WorkerPhysicsEngine has to be asked for velocities (requestVelocities) to keep them current.
+    capture(positions, velocities = this.engine.velocities) {
+        if (!this.recording) return false;
+        
+        // The engine clock restarts on reset, the recording keeps counting
+        const time = this.engine.time;
+        if (this.frames.length > 0) {
+            this.elapsed += time >= this.engineTime ? time - this.engineTime : time;
+        }
+        this.engineTime = time;
+        
+        // Changes are taken against the previous frame as playback will decode it, so the
+        // rounding does not add up over the frames
+        const index = this.frames.length;
+        const previous = this.previous;
+        let frame = null;
+        if (index > 0 && index - this.lastKey < PhysicsRecorder.KEYFRAME_INTERVAL) {
+            const positionSteps = PhysicsRecorder.encode(positions, previous.positions, PhysicsRecorder.POSITION_STEP);
+            const velocitySteps = positionSteps && PhysicsRecorder.encode(velocities, previous.velocities, PhysicsRecorder.VELOCITY_STEP);
+            if (velocitySteps) {
+                frame = { time: this.elapsed, key: false, positions: positionSteps, velocities: velocitySteps };
+            }
+        }
+        
+        // First frame, due or a jump the steps cannot hold: keep everything
+        if (!frame) {
+            const deltas = new Float32Array(this.origin.length);
+            for (let k = 0; k < deltas.length; k++) {
+                deltas[k] = positions[k] - this.origin[k];
+            }
+            frame = { time: this.elapsed, key: true, positions: deltas, velocities: Float32Array.from(velocities) };
+            this.lastKey = index;
+            PhysicsRecorder.decodeKey(frame, this.origin, previous);
+        }
+        
+        this.frames.push(frame);
+        this.bytes += PhysicsRecorder.frameBytes(frame);
+        
+        if (this.bytes >= PhysicsRecorder.MAX_BYTES) {
+            this.truncated = true;
+            this.stop();
+        } else {
+            this.notifyStateChange();
+        }
+        return true;
+    }
+    
+    // Steps of size step from previous to values, as { indices, steps }: Int16 steps for the
+    // changed values and their Uint32 indices when few changed, otherwise one step per value
+    // and indices null. previous is moved on to the values as decoded. Returns null, leaving
+    // previous as it was, when a change is too large for the steps.
+    static encode(values, previous, step) {
+        const steps = new Int16Array(values.length);
+        let changed = 0;
+        for (let k = 0; k < values.length; k++) {
+            const n = Math.round((values[k] - previous[k]) / step);
+            if (n > 32767 || n < -32767) return null;
+            steps[k] = n;
+            if (n !== 0) changed++;
+        }
+        
+        for (let k = 0; k < values.length; k++) {
+            previous[k] += steps[k] * step;
+        }
+        
+        // An index and a step take three times the room of a dense step
+        if (changed * 3 >= values.length) {
+            return { indices: null, steps };
+        }
+        const indices = new Uint32Array(changed);
+        const sparse = new Int16Array(changed);
+        for (let k = 0, n = 0; k < values.length; k++) {
+            if (steps[k] !== 0) {
+                indices[n] = k;
+                sparse[n++] = steps[k];
+            }
+        }
+        return { indices, steps: sparse };
+    }
+    
+    static apply(encoded, target, step) {
+        const { indices, steps } = encoded;
+        if (indices) {
+            for (let n = 0; n < steps.length; n++) {
+                target[indices[n]] += steps[n] * step;
+            }
+        } else {
+            for (let k = 0; k < steps.length; k++) {
+                target[k] += steps[k] * step;
+            }
+        }
+    }
+    
+    static decodeKey(frame, origin, target) {
+        for (let k = 0; k < origin.length; k++) {
+            target.positions[k] = origin[k] + frame.positions[k];
+        }
+        target.velocities.set(frame.velocities);
+    }
+    
+    static frameBytes(frame) {
+        const size = (data) => (data.steps
+            ? data.steps.byteLength + (data.indices ? data.indices.byteLength : 0)
+            : data.byteLength);
+        return size(frame.positions) + size(frame.velocities);
+    }
+    
+    // Decode frame index into this.decoded: onward from the frame decoded last when that is
+    // on the way, else from the keyframe before index. Returns false for no such frame.
+    decode(index) {
+        const frame = this.frames[index];
+        if (!frame) return false;
+        
+        const decoded = this.decoded;
+        if (!decoded.positions || decoded.positions.length !== this.origin.length) {
+            decoded.positions = new Float64Array(this.origin.length);
+            decoded.velocities = new Float64Array(this.origin.length);
+            decoded.index = -1;
+        }
+        
+        let key = index;
+        while (!this.frames[key].key) key--;
+        
+        if (decoded.index < key || decoded.index > index) {
+            PhysicsRecorder.decodeKey(this.frames[key], this.origin, decoded);
+            decoded.index = key;
+        }
+        for (let k = decoded.index + 1; k <= index; k++) {
+            PhysicsRecorder.apply(this.frames[k].positions, decoded.positions, PhysicsRecorder.POSITION_STEP);
+            PhysicsRecorder.apply(this.frames[k].velocities, decoded.velocities, PhysicsRecorder.VELOCITY_STEP);
+        }
+        decoded.index = index;
+        return true;
+    }
+    
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+    }
+    
+    // Packed positions of a recorded frame, written into target when given. Reading the
+    // frames in order decodes one frame's changes per call.
+    getPositions(index, target = null) {
+        if (!this.decode(index)) return null;
+        
+        const positions = target && target.length === this.origin.length ? target : new Float32Array(this.origin.length);
+        positions.set(this.decoded.positions);
+        return positions;
+    }
+    
+    getVelocities(index, target = null) {
+        if (!this.decode(index)) return null;
+        
+        const velocities = target && target.length === this.origin.length ? target : new Float32Array(this.origin.length);
+        velocities.set(this.decoded.velocities);
+        return velocities;
+    }
+    
+    // Last frame recorded at or before time
+    frameAt(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.frames[middle].time <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+    
+    getEventsAt(frame) {
+        return this.events.filter(event => event.frame === frame);
+    }
+    
+    startPlayback() {
+        if (this.frames.length === 0) return false;
+        
+        this.stop();
+        this.playback = true;
+        this.seekFrame(Math.min(this.currentFrame, this.frames.length - 1));
+        return true;
+    }
+    
+    stopPlayback() {
+        if (!this.playback) return false;
+        
+        this.playback = false;
+        this.playing = false;
+        this.notifyStateChange();
+        return true;
+    }
+    
+    play() {
+        if (!this.playback || this.frames.length < 2) return false;
+        
+        if (this.currentFrame >= this.frames.length - 1) {
+            this.seekFrame(0);
+        }
+        
+        this.playing = true;
+        this.notifyStateChange();
+        return true;
+    }
+    
+    pause() {
+        this.playing = false;
+        this.notifyStateChange();
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+        this.notifyStateChange();
+    }
+    
+    setLoop(loop) {
+        this.loop = loop;
+        this.notifyStateChange();
+    }
+    
+    seek(time) {
+        const duration = this.getDuration();
+        this.currentTime = Math.max(0, Math.min(duration, time));
+        this.showFrame(this.frameAt(this.currentTime));
+    }
+    
+    seekFrame(index) {
+        if (this.frames.length === 0) return;
+        
+        const frame = Math.max(0, Math.min(this.frames.length - 1, index));
+        this.currentTime = this.frames[frame].time;
+        this.showFrame(frame);
+    }
+    
+    // Move count frames forward (or back when negative) and hold there
+    step(count = 1) {
+        this.playing = false;
+        this.seekFrame(this.currentFrame + count);
+    }
+    
+    // Advance playback by delta seconds of wall time, called every animation frame
+    update(delta) {
+        if (!this.playback || !this.playing || this.frames.length < 2) return;
+        
+        const duration = this.getDuration();
+        this.currentTime += delta * this.speed;
+        
+        if (this.currentTime >= duration) {
+            if (this.loop && duration > 0) {
+                this.currentTime %= duration;
+            } else {
+                this.currentTime = duration;
+                this.playing = false;
+            }
+        }
+        
+        const frame = this.frameAt(this.currentTime);
+        if (frame !== this.currentFrame || !this.playing) {
+            this.showFrame(frame);
+        } else {
+            this.notifyStateChange();
+        }
+    }
+    
+    showFrame(index) {
+        this.currentFrame = index;
+        this.positionBuffer = this.getPositions(index, this.positionBuffer);
+        this.velocityBuffer = this.getVelocities(index, this.velocityBuffer);
+        
+        if (this.playback && typeof this.onFrame === 'function') {
+            this.onFrame(this.positionBuffer, index);
+        }
+        this.notifyStateChange();
+    }
+    
+    notifyStateChange() {
+        if (typeof this.onStateChange === 'function') {
+            this.onStateChange(this.getState());
+        }
+    }
+    
+    getState() {
+        return {
+            recording: this.recording,
+            truncated: this.truncated,
+            playback: this.playback,
+            playing: this.playing,
+            loop: this.loop,
+            speed: this.speed,
+            currentFrame: this.currentFrame,
+            frameCount: this.frames.length,
+            currentTime: this.currentTime,
+            duration: this.getDuration(),
+            events: this.events // Not copied, read only
+        };
+    }
+}
+
+// Engine calls logged as events: parameter changes, pins and applied forces. enable and
+// disable are left out, playback and the physics toggle drive those.
+PhysicsRecorder.RECORDED_METHODS = [
+    'reset',
+    'setGravity', 'setGravityScale', 'setDamping', 'setStiffness', 'setIntegrator', 'setSubsteps',
+    'setCollisionDetection',
+    'setLoad', 'clearLoad', 'toggleFixed', 'applyPinPreset', 'setMassPosition',
+    'addForceField', 'updateForceField', 'removeForceField', 'clearForceFields',
+    'applyForce', 'applyImpulse', 'applyWind', 'applyExplosion',
+    'startGrab', 'moveGrab', 'endGrab'
+];
+
+PhysicsRecorder.MAX_BYTES = 256 * 1024 * 1024; // Recording stops once the frames take this much memory
+PhysicsRecorder.KEYFRAME_INTERVAL = 60; // Frames between full copies, bounds the decoding on a seek
+PhysicsRecorder.POSITION_STEP = 1e-4; // Resolution of the stored position changes, up to 3.2 per frame
+PhysicsRecorder.VELOCITY_STEP = 1e-3; // Resolution of the stored velocity changes, up to 32 per frame
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsRecorder;
+}
@@ -0,0 +1,287 @@
+// Headless physics runner for Node: no browser, DOM or GPU needed.
+//
+//   node physicsRunner.js <scenario.json> [--mesh mesh.json] [--out trajectory.json]
+//   node physicsRunner.js <scenario.json> --export json|csv-long|csv-wide [--select ids,groups] [--out file]
+//
+// A scenario names the mesh, the number of frames, the frame time and a list of
+// events (gravity, wind, force fields, impulses, loads, pinning) keyed by frame. The runner steps
+// the PhysicsEngine at that fixed dt and records the positions of the tracked masses.
+// With --export every frame is recorded and written as time series (see physicsExport.js).
+const fs = require('fs');
+const path = require('path');
+const PhysicsEngine = require('./physicsEngine.js');
+const PhysicsRecorder = require('./physicsRecorder.js');
+const PhysicsExport = require('./physicsExport.js');
+const CoordinateSystem = require('./coordinateSystem.js');
+
+class PhysicsRunner {
+    constructor(meshData) {
+        this.meshData = CoordinateSystem.normalize(meshData); // Same Y-up world as the viewer
+        this.engine = null;
+        this.wind = null; // Wind acceleration applied every frame until changed
+    }
+    
+    // Run a scenario from the start and return the recorded trajectory. A PhysicsRecorder
+    // passed in records every frame of the run.
+    run(scenario, recorder = null) {
+        const frames = scenario.frames ?? PhysicsRunner.DEFAULTS.frames;
+        const dt = scenario.dt ?? PhysicsRunner.DEFAULTS.dt;
+        const sampleEvery = scenario.sampleEvery ?? PhysicsRunner.DEFAULTS.sampleEvery;
+        
+        this.engine = new PhysicsEngine();
+        this.engine.init(this.meshData);
+        this.engine.timeStep = dt;
+        this.engine.enable();
+        this.wind = null;
+        
+        if (scenario.integrator !== undefined && !this.engine.setIntegrator(scenario.integrator)) {
+            throw new Error(`Unknown integrator "${scenario.integrator}", expected one of ${PhysicsEngine.INTEGRATORS.join(', ')}`);
+        }
+        if (scenario.substeps !== undefined) {
+            this.engine.setSubsteps(scenario.substeps);
+        }
+        if (scenario.pinPreset !== undefined) {
+            this.applyPinPreset(scenario.pinPreset, 'Scenario');
+        }
+        
+        const ids = scenario.track || this.engine.ids;
+        ids.forEach(id => {
+            if (!this.engine.getMassById(id)) {
+                throw new Error(`Tracked mass "${id}" is not in the mesh`);
+            }
+        });
+        
+        // An event off the frame grid would never match and hold back every event after it
+        const events = (scenario.events || []).slice().sort((a, b) => a.frame - b.frame);
+        events.forEach(event => {
+            if (!Number.isInteger(event.frame) || event.frame < 0 || event.frame >= frames) {
+                throw new Error(`Event at frame ${event.frame}: frame must be a whole number from 0 to ${frames - 1}`);
+            }
+        });
+        const samples = [this.sample(0, ids)];
+        if (recorder) {
+            recorder.start(this.engine);
+        }
+        let nextEvent = 0;
+        
+        for (let frame = 0; frame < frames; frame++) {
+            while (nextEvent < events.length && events[nextEvent].frame === frame) {
+                this.applyEvent(events[nextEvent]);
+                nextEvent++;
+            }
+            
+            // One-off forces only last until the next step, so wind is added every frame
+            if (this.wind) {
+                this.engine.applyWind(this.wind);
+            }
+            this.engine.update(dt);
+            
+            if ((frame + 1) % sampleEvery === 0 || frame + 1 === frames) {
+                samples.push(this.sample(frame + 1, ids));
+            }
+        }
+        if (recorder) {
+            recorder.stop();
+        }
+        
+        return {
+            scenario: scenario.name || null,
+            frames,
+            dt,
+            integrator: this.engine.integrator,
+            substeps: this.engine.substeps,
+            ids,
+            samples
+        };
+    }
+    
+    // Positions of the tracked masses, in ids order
+    sample(frame, ids) {
+        return {
+            frame,
+            positions: ids.map(id => {
+                const i = this.engine.massIndex.get(id) * 3;
+                const positions = this.engine.positions;
+                return [positions[i], positions[i + 1], positions[i + 2]];
+            })
+        };
+    }
+    
+    applyEvent(event) {
+        const engine = this.engine;
+        const requireMass = () => {
+            if (!engine.getMassById(event.id)) {
+                throw new Error(`Event at frame ${event.frame}: unknown mass "${event.id}"`);
+            }
+        };
+        
+        switch (event.type) {
+            case 'gravity':
+                engine.setGravity(event.value);
+                break;
+            case 'gravityScale':
+                engine.setGravityScale(event.value);
+                break;
+            case 'damping':
+                engine.setDamping(event.value);
+                break;
+            case 'wind':
+                this.wind = event.force && (event.force.x || event.force.y || event.force.z) ? { ...event.force } : null;
+                break;
+            case 'impulse':
+                requireMass();
+                engine.applyImpulse(event.id, event.impulse);
+                break;
+            case 'load':
+                requireMass();
+                engine.setLoad(event.id, event.force);
+                break;
+            case 'explosion':
+                engine.applyExplosion(event.center, event.radius, event.force);
+                break;
+            case 'forceField':
+                if (!engine.addForceField(event.field || {})) {
+                    const types = Object.keys(PhysicsEngine.FORCE_FIELDS).join(', ');
+                    throw new Error(`Event at frame ${event.frame}: unknown force field type "${event.field && event.field.type}", expected one of ${types}`);
+                }
+                break;
+            case 'removeForceField':
+                if (!engine.removeForceField(event.id)) {
+                    throw new Error(`Event at frame ${event.frame}: unknown force field ${event.id}`);
+                }
+                break;
+            case 'pinPreset':
+                this.applyPinPreset(event.preset, `Event at frame ${event.frame}`);
+                break;
+            case 'collisions':
+                engine.setCollisionDetection(event.enabled);
+                break;
+            case 'pin':
+            case 'unpin':
+                requireMass();
+                if (engine.getMassById(event.id).fixed !== (event.type === 'pin')) {
+                    engine.toggleFixed(event.id);
+                }
+                break;
+            default:
+                throw new Error(`Event at frame ${event.frame}: unknown type "${event.type}"`);
+        }
+    }
+    
+    applyPinPreset(name, context) {
+        if (!this.engine.applyPinPreset(name)) {
+            const names = this.engine.getPinPresets().map(preset => preset.name);
+            throw new Error(`${context}: unknown pin preset "${name}", expected one of ${names.join(', ')}`);
+        }
+    }
+    
+    // Load a scenario file and run it. The mesh path is relative to the scenario file.
+    static runFile(scenarioPath, meshPath = null, recorder = null) {
+        const scenario = PhysicsRunner.readJSON(scenarioPath);
+        const resolvedMesh = meshPath || path.resolve(path.dirname(scenarioPath), scenario.mesh || PhysicsRunner.DEFAULTS.mesh);
+        
+        const runner = new PhysicsRunner(PhysicsRunner.readJSON(resolvedMesh));
+        return runner.run(scenario, recorder);
+    }
+    
+    // JSON with one line per sample, so golden files diff readably
+    static stringify(trajectory) {
+        const { samples, ...header } = trajectory;
+        const headerJSON = JSON.stringify(header, null, 2);
+        const sampleLines = samples.map(sample => `    ${JSON.stringify(sample)}`);
+        return `${headerJSON.slice(0, -2)},\n  "samples": [\n${sampleLines.join(',\n')}\n  ]\n}\n`;
+    }
+    
+    static readJSON(file) {
+        const text = fs.readFileSync(file, 'utf8');
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file} is not valid JSON: ${error.message}`);
+        }
+    }
+    
+    // Largest coordinate difference between two trajectories of the same scenario
+    static compare(actual, expected) {
+        if (actual.ids.join() !== expected.ids.join()) {
+            throw new Error('Trajectories track different masses');
+        }
+        if (actual.samples.length !== expected.samples.length) {
+            throw new Error(`Trajectories have ${actual.samples.length} and ${expected.samples.length} samples`);
+        }
+        
+        let maxError = 0;
+        let worst = null;
+        actual.samples.forEach((sample, i) => {
+            sample.positions.forEach((position, j) => {
+                position.forEach((value, axis) => {
+                    const error = Math.abs(value - expected.samples[i].positions[j][axis]);
+                    if (!(error <= maxError)) {
+                        maxError = error;
+                        worst = { frame: sample.frame, id: actual.ids[j], axis: 'xyz'[axis] };
+                    }
+                });
+            });
+        });
+        
+        return { maxError, worst };
+    }
+}
+
+PhysicsRunner.DEFAULTS = {
+    mesh: 'mesh_data.json',
+    frames: 120,
+    dt: 1 / 60,
+    sampleEvery: 10
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhysicsRunner;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args.splice(index, 2)[1];
+    };
+    const meshPath = option('--mesh');
+    const outPath = option('--out');
+    const exportFormat = option('--export');
+    const select = option('--select');
+    
+    if (args.length !== 1) {
+        console.error('Usage: node physicsRunner.js <scenario.json> [--mesh mesh.json] [--out trajectory.json]');
+        console.error('       node physicsRunner.js <scenario.json> --export json|csv-long|csv-wide [--select ids,groups] [--out file]');
+        process.exit(1);
+    }
+    
+    // Keep engine logging off stdout so the trajectory can be piped
+    console.log = (...messages) => console.error(...messages);
+    
+    let output;
+    let summary;
+    try {
+        if (exportFormat) {
+            const recorder = new PhysicsRecorder();
+            PhysicsRunner.runFile(args[0], meshPath, recorder);
+            output = PhysicsExport.export(recorder, exportFormat, select ? select.split(',') : []).content;
+            summary = `${recorder.frames.length} frames`;
+        } else {
+            const trajectory = PhysicsRunner.runFile(args[0], meshPath);
+            output = PhysicsRunner.stringify(trajectory);
+            summary = `${trajectory.samples.length} samples of ${trajectory.ids.length} masses`;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    if (outPath) {
+        fs.writeFileSync(outPath, output);
+        console.error(`Wrote ${summary} to ${outPath}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
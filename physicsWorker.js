@@ -0,0 +1,36 @@
+// Web Worker side of WorkerPhysicsEngine: owns the PhysicsEngine that actually simulates.
+// Messages from the main thread:
+//   { type: 'call', method, args }                     run a PhysicsEngine method
+//   { type: 'step', deltaTime, generation, positions, velocities } advance the simulation
+//   { type: 'state' }                                  answer with getSimulationState()
+// Every step answers with the packed positions, transferring the Float32Array back, and
+// with the velocities as well when the step asked for them.
+importScripts('physicsEngine.js');
+
+const engine = new PhysicsEngine();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.type === 'call') {
+        engine[message.method](...message.args);
+    } else if (message.type === 'step') {
+        // Step straight into the buffer the main thread sent, it is transferred back below
+        engine.positionBuffer = message.positions;
+        const positions = engine.update(message.deltaTime) || engine.writePositions(message.positions);
+        const grabForce = engine.getGrabForce();
+        const velocities = message.velocities ? Float32Array.from(engine.velocities) : null;
+        
+        self.postMessage({
+            type: 'stepped',
+            generation: message.generation,
+            positions,
+            jointsAtLimit: engine.getJointsAtLimit(),
+            grabForce: grabForce ? { ...grabForce } : null,
+            time: engine.time,
+            velocities
+        }, velocities ? [positions.buffer, velocities.buffer] : [positions.buffer]);
+    } else if (message.type === 'state') {
+        self.postMessage({ type: 'state', state: engine.getSimulationState() });
+    }
+};
@@ -0,0 +1,200 @@
+class PoseController {
+    constructor() {
+        this.poses = {};
+        this.chains = [];
+        this.vertices = [];
+        this.restPositions = new Map(); // Vertex id -> rest position (the mesh file pose)
+        
+        this.currentPose = 't-pose';
+        this.currentRotations = {};
+        this.transitionDuration = 800; // ms
+        this.tween = null;
+        this.onUpdate = null; // Called after every pose change is written to the vertices
+        this.onComplete = null;
+    }
+    
+    init(meshData, vertices, ikSolver) {
+        if (!meshData) return;
+        
+        this.vertices = vertices;
+        this.poses = meshData.animation?.poses || {};
+        this.currentPose = (meshData.animation?.defaultPose || 't-pose').toLowerCase();
+        this.currentRotations = {};
+        
+        this.restPositions.clear();
+        vertices.forEach(vertex => {
+            const data = vertex.originalData;
+            this.restPositions.set(vertex.id, new THREE.Vector3(data.x, data.y, data.z));
+        });
+        
+        // Limb hierarchy comes from the IK chains: each joint rotates everything below it
+        this.chains = [];
+        if (ikSolver) {
+            ikSolver.chains.forEach(chain => {
+                const restJoints = chain.joints.map(id => this.restPositions.get(id));
+                this.chains.push({
+                    joints: chain.joints,
+                    restJoints,
+                    bindings: ikSolver.createBindings(chain, restJoints, vertex => this.restPositions.get(vertex.id))
+                });
+            });
+        }
+        
+        console.log('Pose controller initialized with poses:', Object.keys(this.poses).join(', '));
+    }
+    
+    hasPose(name) {
+        return Boolean(this.poses[name]);
+    }
+    
+    getPose(name) {
+        return this.poses[name] || null;
+    }
+    
+    isTransitioning() {
+        return this.tween !== null;
+    }
+    
+    // Joint id -> quaternion for a pose's rotations (degrees, XYZ order)
+    getPoseRotations(name) {
+        const rotations = {};
+        const pose = this.poses[name];
+        
+        Object.entries(pose?.rotations || {}).forEach(([jointId, rotation]) => {
+            const euler = new THREE.Euler(
+                THREE.MathUtils.degToRad(rotation.x || 0),
+                THREE.MathUtils.degToRad(rotation.y || 0),
+                THREE.MathUtils.degToRad(rotation.z || 0),
+                'XYZ'
+            );
+            rotations[jointId] = new THREE.Quaternion().setFromEuler(euler);
+        });
+        
+        return rotations;
+    }
+    
+    // Forward kinematics from the rest pose. Returns vertex id -> posed position.
+    computePositions(rotations) {
+        const positions = new Map();
+        const identity = new THREE.Quaternion();
+        
+        this.restPositions.forEach((position, id) => {
+            positions.set(id, position.clone());
+        });
+        
+        this.chains.forEach(chain => {
+            const posedJoints = [chain.restJoints[0].clone()];
+            const boneRotations = [];
+            const cumulative = new THREE.Quaternion();
+            
+            chain.joints.forEach((jointId, i) => {
+                cumulative.multiply(rotations[jointId] || identity);
+                boneRotations.push(cumulative.clone());
+                
+                if (i > 0) {
+                    const bone = chain.restJoints[i].clone().sub(chain.restJoints[i - 1]);
+                    posedJoints.push(bone.applyQuaternion(boneRotations[i - 1]).add(posedJoints[i - 1]));
+                }
+            });
+            
+            chain.joints.forEach((jointId, i) => positions.set(jointId, posedJoints[i]));
+            
+            chain.bindings.forEach(binding => {
+                positions.set(
+                    binding.vertex.id,
+                    binding.offset.clone().applyQuaternion(boneRotations[binding.bone]).add(posedJoints[binding.bone])
+                );
+            });
+        });
+        
+        return positions;
+    }
+    
+    // Blend from the current vertex positions into the named pose
+    transitionTo(name, duration = this.transitionDuration) {
+        if (!this.hasPose(name)) return false;
+        
+        this.stop();
+        
+        const fromRotations = this.currentRotations;
+        const toRotations = this.getPoseRotations(name);
+        const fromPositions = this.computePositions(fromRotations);
+        
+        // Whatever physics or IK did on top of the previous pose fades out over the transition
+        const residuals = new Map();
+        this.vertices.forEach(vertex => {
+            residuals.set(vertex.id, vertex.position.clone().sub(fromPositions.get(vertex.id)));
+        });
+        
+        const jointIds = new Set(Object.keys(fromRotations).concat(Object.keys(toRotations)));
+        const identity = new THREE.Quaternion();
+        
+        const applyBlend = (t) => {
+            const rotations = {};
+            jointIds.forEach(jointId => {
+                rotations[jointId] = (fromRotations[jointId] || identity).clone().slerp(toRotations[jointId] || identity, t);
+            });
+            
+            const positions = this.computePositions(rotations);
+            this.vertices.forEach(vertex => {
+                vertex.position
+                    .copy(residuals.get(vertex.id))
+                    .multiplyScalar(1 - t)
+                    .add(positions.get(vertex.id));
+            });
+            
+            if (typeof this.onUpdate === 'function') {
+                this.onUpdate();
+            }
+        };
+        
+        const finish = () => {
+            this.tween = null;
+            this.currentPose = name;
+            this.currentRotations = toRotations;
+            
+            if (typeof this.onComplete === 'function') {
+                this.onComplete(name);
+            }
+        };
+        
+        if (typeof TWEEN === 'undefined' || duration <= 0) {
+            applyBlend(1);
+            finish();
+            return true;
+        }
+        
+        const state = { t: 0 };
+        this.tween = new TWEEN.Tween(state)
+            .to({ t: 1 }, duration)
+            .easing(TWEEN.Easing.Cubic.InOut)
+            .onUpdate(() => applyBlend(state.t))
+            .onComplete(finish)
+            .start();
+        
+        return true;
+    }
+    
+    // Take name as the current pose without moving the vertices, so the next transition
+    // starts from its rotations
+    setCurrentPose(name) {
+        if (!this.hasPose(name)) return false;
+        
+        this.stop();
+        this.currentPose = name;
+        this.currentRotations = this.getPoseRotations(name);
+        return true;
+    }
+    
+    stop() {
+        if (this.tween) {
+            this.tween.stop();
+            this.tween = null;
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoseController;
+}
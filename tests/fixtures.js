@@ -0,0 +1,21 @@
+// Shared setup for the tests. Everything goes through PhysicsRunner so the tests simulate
+// the mesh in the Y-up world the viewer and the runner use, not the file as stored.
+const path = require('path');
+const PhysicsEngine = require('../physicsEngine.js');
+const PhysicsRunner = require('../physicsRunner.js');
+
+const MESH_PATH = path.join(__dirname, '..', 'mesh_data.json');
+
+const createRunner = () => new PhysicsRunner(PhysicsRunner.readJSON(MESH_PATH));
+
+// A fresh normalized copy each call, tests are free to change it
+const loadMesh = () => createRunner().meshData;
+
+const createEngine = (meshData = loadMesh()) => {
+    const engine = new PhysicsEngine();
+    engine.init(meshData);
+    engine.enable();
+    return engine;
+};
+
+module.exports = { MESH_PATH, createRunner, loadMesh, createEngine };
@@ -0,0 +1,67 @@
+// Analysis colour scheme values and colour maps.
+//
+//   node --test tests/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PhysicsAnalysis = require('../physicsAnalysis.js');
+const { createEngine } = require('./fixtures.js');
+
+console.log = () => {};
+
+test('a mesh at rest shows no strain, tension, motion or displacement', () => {
+    const engine = createEngine();
+    
+    Object.keys(PhysicsAnalysis.SCHEMES).forEach(scheme => {
+        const values = PhysicsAnalysis.compute(scheme, engine);
+        assert.strictEqual(values.vertex.length, engine.count);
+        assert.ok(values.vertex.every(value => Math.abs(value) < 1e-6), scheme);
+    });
+});
+
+test('moving a vertex strains and loads its springs and shows its displacement and energy', () => {
+    const engine = createEngine();
+    const i = engine.massIndex.get('hand_left_index');
+    engine.positions[i * 3] += 0.5;
+    engine.velocities[i * 3 + 1] = 3;
+    
+    const strain = PhysicsAnalysis.compute('strain', engine);
+    for (let s = 0; s < engine.springCount; s++) {
+        const attached = engine.springA[s] === i || engine.springB[s] === i;
+        assert.strictEqual(Math.abs(strain.spring[s]) > 1e-6, attached);
+    }
+    assert.ok(strain.vertex[i] !== 0);
+    
+    assert.ok(Math.abs(PhysicsAnalysis.compute('displacement', engine).vertex[i] - 0.5) < 1e-6);
+    assert.ok(Math.abs(PhysicsAnalysis.compute('velocity', engine).vertex[i] - 3) < 1e-6);
+    assert.ok(Math.abs(PhysicsAnalysis.compute('kineticEnergy', engine).vertex[i] - 4.5 * engine.masses[i]) < 1e-4);
+    
+    // Buffers are reused between frames
+    const again = PhysicsAnalysis.compute('strain', engine, strain);
+    assert.strictEqual(again.spring, strain.spring);
+    assert.strictEqual(again.vertex, strain.vertex);
+    
+    // Tension is the spring force, stiffness times elongation, on the same springs
+    const tension = PhysicsAnalysis.compute('tension', engine);
+    for (let s = 0; s < engine.springCount; s++) {
+        const rest = engine.springRestLengths[s];
+        const expected = engine.springStiffness[s] * strain.spring[s] * rest;
+        assert.ok(Math.abs(tension.spring[s] - expected) < 1e-5 * Math.max(1, Math.abs(expected)));
+    }
+    assert.ok(tension.vertex[i] !== 0);
+    
+    assert.throws(() => PhysicsAnalysis.compute('temperature', engine), /Unknown analysis scheme "temperature"/);
+});
+
+test('colours follow the palette and clamp outside the range', () => {
+    const { sequential, diverging } = PhysicsAnalysis.PALETTES;
+    const assertColor = (actual, expected) => {
+        actual.forEach((channel, k) => assert.ok(Math.abs(channel - expected[k]) < 1e-12, `${actual} is not ${expected}`));
+    };
+    
+    assertColor(PhysicsAnalysis.colorFor(-5, 0, 1, 'sequential'), sequential[0]);
+    assertColor(PhysicsAnalysis.colorFor(5, 0, 1, 'sequential'), sequential[sequential.length - 1]);
+    assertColor(PhysicsAnalysis.colorFor(0, -1, 1, 'diverging'), diverging[1]);
+    
+    // Half way between the first two stops
+    assertColor(PhysicsAnalysis.colorFor(0.5, 0, 2, 'diverging'), diverging[0].map((channel, k) => (channel + diverging[1][k]) / 2));
+});
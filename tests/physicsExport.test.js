@@ -0,0 +1,103 @@
+// Time series export of recorded physics runs.
+//
+//   node --test tests/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PhysicsExport = require('../physicsExport.js');
+const PhysicsRecorder = require('../physicsRecorder.js');
+const PhysicsRunner = require('../physicsRunner.js');
+const { createRunner, createEngine } = require('./fixtures.js');
+
+const SCENARIO_PATH = path.join(__dirname, 'scenarios', 'wind-and-impulse.json');
+
+console.log = () => {};
+
+const recordScenario = () => {
+    const recorder = new PhysicsRecorder();
+    const scenario = PhysicsRunner.readJSON(SCENARIO_PATH);
+    const runner = createRunner();
+    runner.run(scenario, recorder);
+    return { recorder, engine: runner.engine, frames: scenario.frames };
+};
+
+test('JSON export holds the chosen vertices and their springs over every frame', () => {
+    const { recorder, engine, frames } = recordScenario();
+    const data = JSON.parse(PhysicsExport.export(recorder, 'json', ['hand_left', 'head_top']).content);
+    
+    const expected = engine.ids.filter((id, i) => engine.groups[i] === 'hand_left').concat('head_top');
+    assert.deepStrictEqual(Object.keys(data.vertices).sort(), expected.sort());
+    assert.strictEqual(data.time.length, frames + 1);
+    assert.strictEqual(data.metadata.gravity, engine.gravity);
+    assert.strictEqual(data.metadata.timeStep, engine.timeStep);
+    
+    // Last frame matches the engine
+    const id = 'hand_left_index';
+    const vertex = data.vertices[id];
+    const mass = engine.getMassById(id);
+    ['x', 'y', 'z'].forEach((axis, a) => {
+        assert.ok(Math.abs(vertex.position[frames][a] - mass.position[axis]) < 1e-4);
+        assert.ok(Math.abs(vertex.velocity[frames][a] - mass.velocity[axis]) < 1e-3);
+    });
+    assert.strictEqual(vertex.force[0], null);
+    assert.ok(vertex.force[frames].every(Number.isFinite));
+    
+    // Every spring touching the selection, with Hooke's law tension
+    const springs = Object.keys(data.springs);
+    assert.ok(springs.length > 0);
+    springs.forEach(springId => {
+        const spring = data.springs[springId];
+        assert.ok(expected.includes(spring.a) || expected.includes(spring.b));
+        const s = Array.from(engine.springA).findIndex((a, n) => engine.ids[a] === spring.a && engine.ids[engine.springB[n]] === spring.b);
+        const tension = engine.springStiffness[s] * (spring.length[frames] - spring.restLength);
+        assert.ok(Math.abs(spring.tension[frames] - tension) < 1e-3 * Math.max(1, Math.abs(tension)));
+    });
+});
+
+test('tension follows stiffness changes made while recording', () => {
+    const engine = createEngine();
+    const initial = engine.stiffness;
+    const recorder = new PhysicsRecorder();
+    recorder.start(engine);
+    for (let frame = 0; frame < 20; frame++) {
+        if (frame === 10) engine.setStiffness(0.6);
+        engine.update(1 / 60);
+    }
+    recorder.stop();
+    
+    const series = PhysicsExport.collect(recorder, ['hand_left_index']);
+    const spring = series.springs[0];
+    const s = Array.from(engine.springA).findIndex((a, n) => engine.ids[a] === spring.a && engine.ids[engine.springB[n]] === spring.b);
+    [5, 20].forEach(frame => {
+        const factor = frame < 11 ? initial / 0.6 : 1;
+        const tension = engine.springStiffness[s] * factor * (spring.length[frame] - spring.restLength);
+        assert.ok(Math.abs(spring.tension[frame] - tension) < 1e-4 * Math.max(1, Math.abs(tension)), `frame ${frame}`);
+    });
+});
+
+test('CSV export in long and wide layouts', () => {
+    const { recorder, frames } = recordScenario();
+    const selection = ['head_top'];
+    const series = PhysicsExport.collect(recorder, selection);
+    const valuesPerFrame = series.vertices.length * 9 + series.springs.length * 2;
+    const rows = (csv) => csv.trim().split('\n').filter(line => !line.startsWith('#'));
+    
+    const long = rows(PhysicsExport.export(recorder, 'csv-long', selection).content);
+    assert.strictEqual(long[0], 'frame,time,kind,id,quantity,value');
+    assert.strictEqual(long.length, 1 + (frames + 1) * valuesPerFrame);
+    assert.strictEqual(long[1], `0,0,vertex,head_top,position_x,${series.vertices[0].position[0][0]}`);
+    
+    const wide = rows(PhysicsExport.export(recorder, 'csv-wide', selection).content);
+    const header = wide[0].split(',');
+    assert.strictEqual(header.length, 2 + valuesPerFrame);
+    assert.deepStrictEqual(header.slice(0, 3), ['frame', 'time', 'head_top.position_x']);
+    assert.strictEqual(wide.length, frames + 2);
+    const last = wide[frames + 1].split(',');
+    assert.strictEqual(Number(last[header.indexOf('head_top.velocity_y')]), series.vertices[0].velocity[frames][1]);
+    assert.strictEqual(wide[1].split(',')[header.indexOf('head_top.force_x')], ''); // No force before the first step
+    
+    assert.strictEqual(PhysicsExport.csvField('a,"b"'), '"a,""b"""');
+    assert.throws(() => PhysicsExport.export(recorder, 'xlsx'), /Unknown export format "xlsx"/);
+    assert.throws(() => PhysicsExport.export(recorder, 'json', ['tail']), /Unknown vertex or group "tail"/);
+    assert.throws(() => PhysicsExport.export(new PhysicsRecorder(), 'json'), /Nothing recorded/);
+});
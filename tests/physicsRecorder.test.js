@@ -0,0 +1,146 @@
+// Recording and frame-accurate playback of physics runs.
+//
+//   node --test tests/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PhysicsRecorder = require('../physicsRecorder.js');
+const { createEngine } = require('./fixtures.js');
+
+console.log = () => {};
+
+test('recorded frames reproduce every step the engine produced', () => {
+    const engine = createEngine();
+    const recorder = new PhysicsRecorder();
+    recorder.start(engine);
+    
+    const expected = [Array.from(engine.positions)];
+    const velocities = [Array.from(engine.velocities)];
+    for (let frame = 0; frame < 90; frame++) {
+        if (frame === 30) engine.setGravity(3);
+        if (frame === 45) engine.applyImpulse('hand_left_index', { x: 0, y: 0, z: 40 });
+        if (frame === 60) engine.reset();
+        if (engine.update(1 / 60)) {
+            expected.push(Array.from(engine.positions));
+            velocities.push(Array.from(engine.velocities));
+        }
+    }
+    recorder.stop();
+    
+    assert.strictEqual(recorder.frames.length, expected.length);
+    expected.forEach((positions, frame) => {
+        const recorded = recorder.getPositions(frame);
+        positions.forEach((value, k) => assert.ok(Math.abs(recorded[k] - value) < 1e-4, `frame ${frame}`));
+        const velocity = recorder.getVelocities(frame);
+        velocities[frame].forEach((value, k) => assert.ok(Math.abs(velocity[k] - value) < 1e-3, `frame ${frame}`));
+    });
+    
+    // The clock keeps running through the reset
+    assert.ok(Math.abs(recorder.getDuration() - 90 / 60) < 1e-9);
+    
+    assert.deepStrictEqual(recorder.events.map(event => [event.frame, event.method, event.args]), [
+        [31, 'setGravity', [3]],
+        [46, 'applyImpulse', ['hand_left_index', { x: 0, y: 0, z: 40 }]],
+        [61, 'reset', []]
+    ]);
+    
+    // Force fields call applyExplosion inside the step, that is not an event
+    recorder.start(engine);
+    engine.addForceField({ type: 'explosion', center: { x: 0, y: 20, z: 0 } });
+    engine.update(1 / 60);
+    assert.deepStrictEqual(recorder.events.map(event => event.method), ['addForceField']);
+    
+    // Stopping puts the engine's own methods back
+    recorder.stop();
+    assert.ok(!Object.prototype.hasOwnProperty.call(engine, 'update'));
+    assert.ok(!Object.prototype.hasOwnProperty.call(engine, 'setGravity'));
+});
+
+test('playback scrubs, steps, slows down and loops over the recorded frames', () => {
+    const engine = createEngine();
+    const recorder = new PhysicsRecorder();
+    recorder.start(engine);
+    for (let frame = 0; frame < 60; frame++) {
+        engine.update(1 / 60);
+    }
+    
+    const shown = [];
+    recorder.onFrame = (positions, frame) => shown.push(frame);
+    assert.ok(recorder.startPlayback());
+    assert.strictEqual(recorder.recording, false);
+    
+    recorder.seek(0.5);
+    assert.strictEqual(recorder.currentFrame, 30);
+    assert.deepStrictEqual(recorder.getPositions(30), recorder.positionBuffer);
+    
+    recorder.step(-1);
+    assert.strictEqual(recorder.currentFrame, 29);
+    recorder.step(100);
+    assert.strictEqual(recorder.currentFrame, 60);
+    
+    // A quarter of the speed shows one frame for four frames of wall time
+    recorder.seekFrame(0);
+    recorder.setSpeed(0.25);
+    assert.ok(recorder.play());
+    recorder.update(5 / 60);
+    assert.strictEqual(recorder.currentFrame, 1);
+    
+    // Looping wraps around, otherwise playback holds the last frame
+    recorder.setSpeed(1);
+    recorder.update(1);
+    assert.ok(recorder.playing);
+    assert.strictEqual(recorder.currentFrame, 1);
+    recorder.setLoop(false);
+    recorder.update(2);
+    assert.strictEqual(recorder.playing, false);
+    assert.strictEqual(recorder.currentFrame, 60);
+    
+    assert.deepStrictEqual(shown.slice(0, 4), [0, 30, 29, 60]);
+    recorder.stopPlayback();
+    assert.strictEqual(recorder.play(), false);
+});
+
+test('frames keep only what changed and recording stops at the memory cap', () => {
+    const engine = createEngine();
+    engine.setGravity(0);
+    const recorder = new PhysicsRecorder();
+    recorder.start(engine);
+    const keyframe = recorder.bytes;
+    assert.strictEqual(keyframe, engine.count * 3 * 4 * 2);
+    
+    // Next to nothing moves without gravity, 30 frames take less room than half a keyframe
+    for (let frame = 0; frame < 30; frame++) {
+        engine.update(1 / 60);
+    }
+    assert.ok(recorder.bytes - keyframe < keyframe / 2);
+    
+    // One kicked hand changes a handful of values, the rest of the body stays out
+    engine.applyImpulse('hand_left_index', { x: 0, y: 0, z: 5 });
+    engine.update(1 / 60);
+    const kicked = recorder.frames[recorder.frames.length - 1];
+    assert.ok(!kicked.key && kicked.positions.indices.length < engine.count);
+    const positions = recorder.getPositions(recorder.frames.length - 1);
+    engine.positions.forEach((value, k) => assert.ok(Math.abs(positions[k] - value) < 1e-4));
+    
+    const maxBytes = PhysicsRecorder.MAX_BYTES;
+    PhysicsRecorder.MAX_BYTES = recorder.bytes + 2 * keyframe;
+    const states = [];
+    recorder.onStateChange = (state) => states.push(state);
+    try {
+        engine.setGravity(9.8);
+        for (let frame = 0; frame < 600 && recorder.recording; frame++) {
+            engine.update(1 / 60);
+        }
+        assert.strictEqual(recorder.recording, false);
+        assert.ok(recorder.bytes >= PhysicsRecorder.MAX_BYTES);
+        
+        // The stop is reported as a cut, unlike a stop() of the user's
+        const last = states[states.length - 1];
+        assert.ok(!last.recording && last.truncated);
+        assert.ok(states.slice(0, -1).every(state => !state.truncated));
+        recorder.start(engine);
+        recorder.stop();
+        assert.strictEqual(recorder.getState().truncated, false);
+    } finally {
+        PhysicsRecorder.MAX_BYTES = maxBytes;
+    }
+});
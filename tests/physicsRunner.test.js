@@ -0,0 +1,243 @@
+// Golden-trajectory regression tests for the physics engine.
+//
+//   node --test tests/
+//
+// Every scenario in tests/scenarios is run headless and compared against the trajectory
+// stored under the same name in tests/golden. After an intended change to the physics,
+// regenerate the golden files with UPDATE_GOLDEN=1 node --test tests/ and review the diff.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PhysicsRunner = require('../physicsRunner.js');
+const PhysicsEngine = require('../physicsEngine.js');
+const CoordinateSystem = require('../coordinateSystem.js');
+const { MESH_PATH, createRunner, loadMesh, createEngine } = require('./fixtures.js');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const TOLERANCE = 1e-6; // Room for floating point differences between Node versions
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// The engine logs every setting change, keep the test output readable
+console.log = () => {};
+
+fs.readdirSync(SCENARIO_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    const name = path.basename(file, '.json');
+    
+    test(`scenario ${name} matches its golden trajectory`, () => {
+        const trajectory = PhysicsRunner.runFile(path.join(SCENARIO_DIR, file));
+        const goldenPath = path.join(GOLDEN_DIR, file);
+        
+        if (UPDATE_GOLDEN) {
+            fs.writeFileSync(goldenPath, PhysicsRunner.stringify(trajectory));
+            return;
+        }
+        
+        assert.ok(fs.existsSync(goldenPath), `Missing ${goldenPath}, run with UPDATE_GOLDEN=1 to create it`);
+        
+        const { maxError, worst } = PhysicsRunner.compare(trajectory, PhysicsRunner.readJSON(goldenPath));
+        assert.ok(maxError <= TOLERANCE,
+            `Off by ${maxError} at frame ${worst && worst.frame}, ${worst && worst.id}.${worst && worst.axis}`);
+    });
+});
+
+test('runs are deterministic', () => {
+    const scenarioPath = path.join(SCENARIO_DIR, 'wind-and-impulse.json');
+    const first = PhysicsRunner.runFile(scenarioPath);
+    const second = PhysicsRunner.runFile(scenarioPath);
+    
+    assert.deepStrictEqual(first, second);
+});
+
+test('the result does not depend on the frame rate', () => {
+    const meshData = loadMesh();
+    const simulate = (frameTime, frames) => {
+        const engine = createEngine(meshData);
+        for (let i = 0; i < frames; i++) {
+            engine.update(frameTime);
+        }
+        return engine.getMassPositions();
+    };
+    
+    // One second at 60, 120 and 240 Hz
+    const at60 = simulate(1 / 60, 60);
+    assert.deepStrictEqual(simulate(1 / 120, 120), at60);
+    assert.deepStrictEqual(simulate(1 / 240, 240), at60);
+});
+
+test('the physics block of the mesh drives the engine', () => {
+    const meshData = loadMesh();
+    const totalMass = (engine) => engine.masses.reduce((sum, mass) => sum + mass, 0);
+    const groupMass = (engine, group) => engine.ids.reduce((sum, id, i) => sum + (engine.groups[i] === group ? engine.masses[i] : 0), 0);
+    
+    const engine = createEngine(meshData);
+    const torso = PhysicsEngine.MASS_SEGMENTS.find(segment => segment.region === 'torso').groups;
+    const torsoMass = torso.reduce((sum, group) => sum + groupMass(engine, group), 0);
+    assert.ok(Math.abs(groupMass(engine, 'leg_left') / torsoMass - 0.16 / 0.5) < 1e-9);
+    
+    meshData.physics = {
+        ...meshData.physics,
+        groundLevel: -20,
+        constraints: { maxIterations: 1, tolerance: 0.01 },
+        springs: { ...meshData.physics.springs, muscleTension: 0.6 }
+    };
+    const custom = createEngine(meshData);
+    assert.strictEqual(custom.groundLevel, -20);
+    assert.strictEqual(custom.constraintIterations, 1);
+    assert.ok(Math.abs(totalMass(custom) - totalMass(engine)) < 1e-9);
+    
+    // Muscle springs doubled, tendon springs unchanged
+    const spring = Array.from(custom.springA).findIndex((a, s) => custom.types[a] !== 'joint' && custom.types[custom.springB[s]] !== 'joint');
+    assert.ok(spring >= 0);
+    assert.ok(Math.abs(custom.springStiffness[spring] / engine.springStiffness[spring] - 2) < 1e-9);
+    
+    // Changing the global stiffness keeps the per-spring factors
+    custom.setStiffness(0.3);
+    assert.ok(Math.abs(custom.springStiffness[spring] / engine.springStiffness[spring] - 4) < 1e-9);
+});
+
+test('pin presets rebuild the fixed set and authored flags come back', () => {
+    const meshData = loadMesh();
+    const engine = createEngine(meshData);
+    const authored = engine.getFixedMassIds();
+    
+    // Explicit vertex flags and group flags, nothing else
+    const expected = meshData.vertices
+        .filter(vertex => vertex.fixed ?? meshData.groups[vertex.group]?.fixed ?? vertex.type === 'joint')
+        .map(vertex => vertex.id);
+    assert.deepStrictEqual(authored, expected);
+    
+    assert.ok(engine.applyPinPreset('feet-planted'));
+    assert.ok(engine.getFixedMassIds().every(id => engine.getMassById(id).group.startsWith('foot_')));
+    
+    assert.ok(engine.applyPinPreset('none'));
+    assert.strictEqual(engine.getFixedMassIds().length, 0);
+    
+    assert.ok(engine.applyPinPreset('authored'));
+    assert.deepStrictEqual(engine.getFixedMassIds(), authored);
+});
+
+test('meshes are brought into a Y-up world with the ground under the feet', () => {
+    const meshData = PhysicsRunner.readJSON(MESH_PATH);
+    const world = CoordinateSystem.normalize(meshData);
+    const height = (id) => world.vertices.find(vertex => vertex.id === id).y;
+    
+    assert.strictEqual(world.metadata.upAxis, '+y');
+    assert.ok(height('head_top') > height('waist_center_front'));
+    assert.ok(height('waist_center_front') > height('foot_left_heel'));
+    assert.strictEqual(CoordinateSystem.normalize(world), world);
+    
+    // The same figure stored Z-up and left-handed ends up in the same place
+    const zUp = JSON.parse(JSON.stringify(world));
+    zUp.metadata.upAxis = '+z';
+    zUp.metadata.handedness = 'left';
+    zUp.vertices.forEach(vertex => {
+        [vertex.x, vertex.y, vertex.z] = [vertex.x, vertex.z, vertex.y];
+    });
+    const restored = CoordinateSystem.normalize(zUp);
+    restored.vertices.forEach((vertex, i) => {
+        assert.ok(Math.abs(vertex.x - world.vertices[i].x) < 1e-9);
+        assert.ok(Math.abs(vertex.y - world.vertices[i].y) < 1e-9);
+        assert.ok(Math.abs(vertex.z - world.vertices[i].z) < 1e-9);
+    });
+    
+    const engine = createEngine(world);
+    const feet = world.vertices.filter(vertex => vertex.group.includes('foot')).map(vertex => vertex.y);
+    assert.strictEqual(engine.groundLevel, Math.min(...feet));
+});
+
+test('force fields act until removed and replay after a reset', () => {
+    const meshData = loadMesh();
+    const engine = createEngine(meshData);
+    const run = (frames) => {
+        for (let i = 0; i < frames; i++) {
+            engine.update(1 / 60);
+        }
+        return engine.getMassPositions();
+    };
+    
+    const wind = engine.addForceField({ type: 'wind', force: { x: 10, y: 0, z: 0 }, turbulence: 0.5 });
+    const blast = engine.addForceField({ type: 'explosion', center: { x: 0, y: 20, z: 10 }, start: 0.5 });
+    assert.deepStrictEqual(engine.getForceFields().map(field => field.active), [true, false]);
+    
+    const first = run(60);
+    assert.strictEqual(engine.getForceFields()[1].active, false); // 0.2 s blast from 0.5 s is over
+    
+    // Same fields, same time line
+    engine.reset();
+    assert.deepStrictEqual(run(60), first);
+    
+    // The wind keeps pushing on every step, not just the first: the hand keeps moving away
+    // from where it is on the same body without wind
+    const calm = createEngine(meshData);
+    calm.addForceField({ type: 'explosion', center: { x: 0, y: 20, z: 10 }, start: 0.5 });
+    const offset = () => engine.getMassById('hand_left_index').position.x - calm.getMassById('hand_left_index').position.x;
+    for (let i = 0; i < 60; i++) {
+        calm.update(1 / 60);
+    }
+    const before = offset();
+    run(30);
+    for (let i = 0; i < 30; i++) {
+        calm.update(1 / 60);
+    }
+    assert.ok(offset() > before + 1, `offset ${before} -> ${offset()}`);
+    
+    assert.ok(engine.removeForceField(wind.id));
+    assert.ok(engine.updateForceField(blast.id, { type: 'implosion' }).type === 'implosion');
+    assert.strictEqual(engine.updateForceField(blast.id, { type: 'wind' }), null);
+});
+
+test('unknown events and masses are reported', () => {
+    const runner = createRunner();
+    
+    assert.throws(() => runner.run({ frames: 1, events: [{ frame: 0, type: 'earthquake' }] }), /unknown type "earthquake"/);
+    assert.throws(() => runner.run({ frames: 1, events: [{ frame: 0, type: 'pin', id: 'nope' }] }), /unknown mass "nope"/);
+    assert.throws(() => runner.run({ frames: 5, events: [{ frame: 1.5, type: 'gravity', value: 0 }] }), /Event at frame 1.5: frame must be a whole number from 0 to 4/);
+    assert.throws(() => runner.run({ frames: 5, events: [{ frame: 5, type: 'gravity', value: 0 }] }), /Event at frame 5:/);
+    assert.throws(() => runner.run({ frames: 5, events: [{ frame: -1, type: 'gravity', value: 0 }] }), /Event at frame -1:/);
+    assert.throws(() => runner.run({ frames: 5, events: [{ type: 'gravity', value: 0 }] }), /Event at frame undefined:/);
+    assert.throws(() => runner.run({ frames: 1, track: ['nope'] }), /Tracked mass "nope"/);
+    assert.throws(() => runner.run({ frames: 1, integrator: 'euler' }), /Unknown integrator "euler"/);
+    assert.throws(() => runner.run({ frames: 1, pinPreset: 'upside-down' }), /unknown pin preset "upside-down"/);
+    assert.throws(() => runner.run({ frames: 1, events: [{ frame: 0, type: 'forceField', field: { type: 'tornado' } }] }), /unknown force field type "tornado"/);
+    assert.throws(() => runner.run({ frames: 1, events: [{ frame: 0, type: 'removeForceField', id: 7 }] }), /unknown force field 7/);
+});
+
+test('a saved simulation state continues the run exactly', () => {
+    const meshData = loadMesh();
+    const create = () => {
+        const engine = createEngine(meshData);
+        engine.setIntegrator('verlet');
+        return engine;
+    };
+    const run = (engine, frames) => {
+        for (let i = 0; i < frames; i++) {
+            engine.update(1 / 50); // Leaves time in the accumulator between steps
+        }
+        return engine.getMassPositions();
+    };
+    
+    const original = create();
+    original.removeForceField(original.addForceField({ type: 'explosion' }).id);
+    original.addForceField({ type: 'wind', force: { x: 6, y: 0, z: 2 }, turbulence: 0.4 });
+    original.applyImpulse('hand_left_index', { x: 0, y: 30, z: 0 });
+    original.toggleFixed('arm_right_elbow');
+    run(original, 40);
+    const saved = JSON.stringify(original.getSimulationState());
+    const fields = original.getForceFields();
+    
+    // Fields are restored in place of any already there, under their saved ids
+    const restored = create();
+    restored.addForceField({ type: 'implosion' });
+    assert.deepStrictEqual(restored.setForceFields(JSON.parse(JSON.stringify(fields))), fields);
+    assert.strictEqual(restored.addForceField({ type: 'wind' }).id, 3);
+    restored.removeForceField(3);
+    assert.ok(restored.setSimulationState(JSON.parse(saved)));
+    assert.strictEqual(JSON.stringify(restored.getSimulationState()), saved);
+    assert.strictEqual(restored.pinPreset, null);
+    assert.ok(restored.getMassById('arm_right_elbow').fixed !== create().getMassById('arm_right_elbow').fixed);
+    
+    // Compared as saved: JSON has no negative zero, which the mirrored mesh has on its pins
+    assert.strictEqual(JSON.stringify(run(restored, 40)), JSON.stringify(run(original, 40)));
+});
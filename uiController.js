@@ -3,6 +3,8 @@ class UIController {
         this.app = app;
         this.renderer = app.getRenderer();
         this.meshData = app.getMeshData();
+        this.recorderMarkerKey = null; // Events and frames the recording markers were drawn for
+        this.recorderTruncated = false; // The memory limit notice was shown for this recording
         
         this.init();
     }
@@ -10,6 +12,8 @@ class UIController {
     init() {
         this.bindEventListeners();
         this.populateDataLists();
+        this.syncCollisionToggle();
+        this.populatePinPresets();
         this.setupRealTimeMetrics();
     }
     
@@ -130,6 +134,37 @@ class UIController {
             });
         }
         
+        // Inverse kinematics toggle
+        const enableIK = document.getElementById('enable-ik');
+        if (enableIK) {
+            enableIK.addEventListener('change', (e) => {
+                this.onIKToggleChange(e.target.checked);
+            });
+        }
+        
+        // Body part collision volumes
+        const enableCollisions = document.getElementById('enable-collisions');
+        if (enableCollisions) {
+            enableCollisions.addEventListener('change', (e) => {
+                this.onCollisionToggleChange(e.target.checked);
+            });
+        }
+        
+        // Animation timeline
+        this.bindTimelineControls();
+        
+        // Physics recording and playback
+        this.bindRecorderControls();
+        
+        // Mesh file picker and drag-and-drop
+        this.bindMeshLoading();
+        
+        // Vertex info panel: pinning and loads
+        this.bindVertexActions();
+        
+        // Legend range of the analysis colour schemes
+        this.bindColorLegend();
+        
         // Gravity slider
         const gravitySlider = document.getElementById('gravity-slider');
         const gravityValue = document.getElementById('gravity-value');
@@ -140,11 +175,605 @@ class UIController {
                 this.onGravityChange(value);
             });
         }
+        
+        // Integration method and substeps
+        const integrator = document.getElementById('physics-integrator');
+        if (integrator) {
+            integrator.addEventListener('change', (e) => {
+                this.onIntegratorChange(e.target.value);
+            });
+        }
+        
+        const substeps = document.getElementById('physics-substeps');
+        if (substeps) {
+            substeps.addEventListener('change', (e) => {
+                this.onSubstepsChange(parseInt(e.target.value, 10));
+            });
+        }
+        
+        // Pin presets and saving the pinned set into the mesh
+        const pinPreset = document.getElementById('pin-preset');
+        if (pinPreset) {
+            pinPreset.addEventListener('change', (e) => {
+                this.onPinPresetChange(e.target.value);
+            });
+        }
+        
+        const saveMeshBtn = document.getElementById('save-mesh-btn');
+        if (saveMeshBtn) {
+            saveMeshBtn.addEventListener('click', () => this.saveMesh());
+        }
+        
+        // Whole sessions: export downloads one, import restores it
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportSession());
+        }
+        
+        const importBtn = document.getElementById('import-btn');
+        const sessionInput = document.getElementById('session-file-input');
+        if (importBtn && sessionInput) {
+            importBtn.addEventListener('click', () => sessionInput.click());
+            sessionInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.app.importState(file);
+                }
+                sessionInput.value = '';
+            });
+        }
+        
+        // Force fields
+        const windBtn = document.getElementById('simulate-wind');
+        if (windBtn) {
+            windBtn.addEventListener('click', () => this.onAddWindClick());
+        }
+        
+        const explosionBtn = document.getElementById('simulate-explosion');
+        if (explosionBtn) {
+            explosionBtn.addEventListener('click', () => this.onPlaceExplosionClick());
+        }
+    }
+    
+    bindMeshLoading() {
+        const loadButton = document.getElementById('load-mesh-btn');
+        const fileInput = document.getElementById('mesh-file-input');
+        if (loadButton && fileInput) {
+            loadButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.app.loadMesh(file);
+                }
+                // Allow picking the same file again
+                fileInput.value = '';
+            });
+        }
+        
+        const dropTarget = document.getElementById('canvas-container');
+        if (dropTarget) {
+            dropTarget.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                dropTarget.classList.add('drag-over');
+            });
+            
+            dropTarget.addEventListener('dragleave', (e) => {
+                if (!dropTarget.contains(e.relatedTarget)) {
+                    dropTarget.classList.remove('drag-over');
+                }
+            });
+            
+            dropTarget.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropTarget.classList.remove('drag-over');
+                
+                const file = e.dataTransfer.files[0];
+                if (file) {
+                    this.app.loadMesh(file);
+                }
+            });
+        }
+    }
+    
+    bindVertexActions() {
+        const toggleFixedBtn = document.getElementById('toggle-fixed');
+        if (toggleFixedBtn) {
+            toggleFixedBtn.addEventListener('click', () => this.onToggleFixedClick());
+        }
+        
+        const applyForceBtn = document.getElementById('apply-force');
+        if (applyForceBtn) {
+            applyForceBtn.addEventListener('click', () => this.onApplyForceClick());
+        }
+        
+        const clearForceBtn = document.getElementById('clear-force');
+        if (clearForceBtn) {
+            clearForceBtn.addEventListener('click', () => this.onClearForceClick());
+        }
+        
+        // Redraw the direction gizmo while the vector is edited
+        ['force-x', 'force-y', 'force-z'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateForceGizmo());
+            }
+        });
+        
+        if (this.renderer) {
+            this.renderer.onVertexSelected = (vertex) => {
+                this.updateVertexStatus(vertex.id);
+                this.updateForceGizmo();
+            };
+        }
+    }
+    
+    bindColorLegend() {
+        ['legend-min', 'legend-max'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.onLegendRangeChange());
+            }
+        });
+        
+        const fitBtn = document.getElementById('legend-fit');
+        if (fitBtn) {
+            fitBtn.addEventListener('click', () => this.onLegendFitClick());
+        }
+    }
+    
+    getForceVector() {
+        const read = (id) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : 0;
+            return Number.isFinite(value) ? value : 0;
+        };
+        return { x: read('force-x'), y: read('force-y'), z: read('force-z') };
+    }
+    
+    getForceMode() {
+        const mode = document.getElementById('force-mode');
+        return mode ? mode.value : 'force';
+    }
+    
+    updateForceGizmo() {
+        if (this.renderer) {
+            this.renderer.setForceGizmo(this.getForceVector());
+        }
+    }
+    
+    // Live fixed/free state and sustained load of a vertex in the info panel
+    updateVertexStatus(vertexId) {
+        const status = document.getElementById('vertex-status');
+        const physics = this.app.physicsEngine;
+        const mass = physics ? physics.getMassById(vertexId) : null;
+        if (!status || !mass) return;
+        
+        const load = physics.getLoad(vertexId);
+        let text = mass.fixed ? 'Fixed' : 'Free';
+        if (load) {
+            text += ` · load ${Math.hypot(load.x, load.y, load.z).toFixed(0)} N`;
+        }
+        
+        status.textContent = text;
+        status.classList.toggle('status-fixed', mass.fixed);
+        status.classList.toggle('status-free', !mass.fixed);
+    }
+    
+    onToggleFixedClick() {
+        const vertex = this.renderer ? this.renderer.highlightedVertex : null;
+        if (!vertex) return;
+        
+        const fixed = this.app.toggleFixed(vertex.id);
+        if (fixed === null) return;
+        
+        this.updateVertexStatus(vertex.id);
+        this.syncPinPresetSelect();
+        this.showNotification(`${vertex.id} ${fixed ? 'pinned' : 'released'}`);
+    }
+    
+    onApplyForceClick() {
+        const vertex = this.renderer ? this.renderer.highlightedVertex : null;
+        if (!vertex) return;
+        
+        const vector = this.getForceVector();
+        const mode = this.getForceMode();
+        const magnitude = Math.hypot(vector.x, vector.y, vector.z);
+        
+        if (magnitude === 0) {
+            this.showNotification('Enter a non-zero force vector', 'warning');
+            return;
+        }
+        
+        if (!this.app.applyVertexLoad(vertex.id, vector, mode)) {
+            this.showNotification(`${vertex.id} is fixed - release it before applying loads`, 'warning');
+            return;
+        }
+        
+        this.updateVertexStatus(vertex.id);
+        
+        const physicsHint = this.app.physicsEngine.enabled ? '' : ' (enable physics to simulate)';
+        if (mode === 'impulse') {
+            this.showNotification(`Impulse of ${magnitude.toFixed(0)} N·s applied to ${vertex.id}${physicsHint}`);
+        } else {
+            this.showNotification(`Load of ${magnitude.toFixed(0)} N set on ${vertex.id}${physicsHint}`);
+        }
+    }
+    
+    onClearForceClick() {
+        const vertex = this.renderer ? this.renderer.highlightedVertex : null;
+        if (!vertex) return;
+        
+        if (this.app.clearVertexLoad(vertex.id)) {
+            this.updateVertexStatus(vertex.id);
+            this.showNotification(`Load removed from ${vertex.id}`);
+        }
+    }
+    
+    // Point the UI at a newly loaded mesh
+    setMeshData(meshData) {
+        this.meshData = meshData;
+        this.populateDataLists();
+        this.syncCollisionToggle();
+        this.syncGravitySlider();
+        this.populatePinPresets();
+        this.updateJointLimitStatus([]);
+        
+        const defaultPose = (meshData.animation?.defaultPose || 't-pose').toLowerCase();
+        document.querySelectorAll('.pose-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.pose === defaultPose);
+        });
+    }
+    
+    // Set every control from the renderer and engine, after a session is restored
+    syncControls() {
+        const config = this.renderer ? this.renderer.config : null;
+        const physics = this.app.physicsEngine;
+        if (!config || !physics) return;
+        
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        };
+        const setChecked = (id, checked) => {
+            const element = document.getElementById(id);
+            if (element) element.checked = checked;
+        };
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        setValue('render-mode', config.renderMode);
+        setValue('lod-level', config.lodLevel);
+        setValue('opacity-slider', Math.round(config.wireframeOpacity * 100));
+        setText('opacity-value', `${Math.round(config.wireframeOpacity * 100)}%`);
+        setValue('glow-slider', Math.round(config.glowIntensity * 100));
+        setText('glow-value', `${Math.round(config.glowIntensity * 100)}%`);
+        setChecked('show-joints', config.showJoints);
+        setChecked('show-skeleton', config.showSkeleton);
+        setChecked('show-wireframe', config.showWireframe);
+        setChecked('show-surface', config.showSurface);
+        setChecked('enable-ik', config.ikEnabled);
+        
+        document.querySelectorAll('.color-option').forEach(button => {
+            button.classList.toggle('active', button.dataset.color === config.colorScheme);
+        });
+        document.querySelectorAll('.pose-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.pose === this.renderer.currentPose);
+        });
+        this.updateColorLegend();
+        
+        setChecked('enable-physics', physics.enabled);
+        setValue('physics-integrator', physics.integrator);
+        setValue('physics-substeps', physics.substeps);
+        this.syncGravitySlider();
+        this.syncCollisionToggle();
+        this.syncPinPresetSelect();
+    }
+    
+    bindTimelineControls() {
+        const timeline = this.renderer ? this.renderer.timeline : null;
+        if (!timeline) return;
+        
+        timeline.onStateChange = (state) => this.updateTimelineDisplay(state);
+        timeline.onEnd = () => this.syncPhysicsToRenderer(); // Physics carries on from the last pose
+        
+        const playBtn = document.getElementById('timeline-play');
+        if (playBtn) {
+            playBtn.addEventListener('click', () => this.onTimelinePlayClick());
+        }
+        
+        const addKeyBtn = document.getElementById('timeline-add-key');
+        if (addKeyBtn) {
+            addKeyBtn.addEventListener('click', () => {
+                const keyframe = timeline.addKeyframe();
+                this.showNotification(`Keyframe added at ${keyframe.time.toFixed(2)}s`);
+            });
+        }
+        
+        const removeKeyBtn = document.getElementById('timeline-remove-key');
+        if (removeKeyBtn) {
+            removeKeyBtn.addEventListener('click', () => {
+                if (timeline.removeKeyframe()) {
+                    this.showNotification('Keyframe removed');
+                }
+            });
+        }
+        
+        const clearBtn = document.getElementById('timeline-clear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                timeline.clear();
+                this.showNotification('Timeline cleared');
+            });
+        }
+        
+        const scrub = document.getElementById('timeline-scrub');
+        if (scrub) {
+            scrub.addEventListener('input', (e) => {
+                timeline.pause();
+                timeline.seek((e.target.value / 1000) * timeline.getDuration());
+            });
+            scrub.addEventListener('change', () => this.syncPhysicsToRenderer());
+        }
+        
+        const loop = document.getElementById('timeline-loop');
+        if (loop) {
+            loop.addEventListener('change', (e) => timeline.setLoop(e.target.checked));
+        }
+        
+        const speed = document.getElementById('timeline-speed');
+        if (speed) {
+            speed.addEventListener('change', (e) => timeline.setSpeed(parseFloat(e.target.value)));
+        }
+        
+        this.updateTimelineDisplay(timeline.getState());
+    }
+    
+    onTimelinePlayClick() {
+        const timeline = this.renderer.timeline;
+        
+        if (timeline.playing) {
+            timeline.pause();
+            this.syncPhysicsToRenderer();
+        } else if (!timeline.play()) {
+            this.showNotification('Add at least two keyframes to play the timeline', 'warning');
+        }
+    }
+    
+    updateTimelineDisplay(state) {
+        const timeDisplay = document.getElementById('timeline-time');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${state.currentTime.toFixed(2)}s / ${state.duration.toFixed(2)}s`;
+        }
+        
+        const playBtn = document.getElementById('timeline-play');
+        if (playBtn) {
+            playBtn.textContent = state.playing ? '❚❚' : '▶';
+        }
+        
+        const scrub = document.getElementById('timeline-scrub');
+        if (scrub) {
+            scrub.value = state.duration > 0 ? Math.round((state.currentTime / state.duration) * 1000) : 0;
+        }
+        
+        // Keyframe markers along the track
+        const keys = document.getElementById('timeline-keys');
+        if (keys) {
+            keys.innerHTML = '';
+            state.keyframeTimes.forEach(time => {
+                const marker = document.createElement('span');
+                marker.className = 'timeline-key';
+                marker.style.left = `${state.duration > 0 ? (time / state.duration) * 100 : 0}%`;
+                marker.title = `${time.toFixed(2)}s`;
+                keys.appendChild(marker);
+            });
+        }
+    }
+    
+    bindRecorderControls() {
+        const recorder = this.app.recorder;
+        if (!recorder) return;
+        
+        recorder.onStateChange = (state) => this.updateRecorderDisplay(state);
+        
+        const recordBtn = document.getElementById('recorder-record');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => this.app.toggleRecording());
+        }
+        
+        const replayBtn = document.getElementById('recorder-replay');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => {
+                if (recorder.playback) {
+                    this.app.stopPlayback();
+                    this.showNotification('Back to live physics');
+                } else if (this.app.startPlayback()) {
+                    this.showNotification('Replaying the recording - physics is off until you leave playback');
+                }
+            });
+        }
+        
+        const playBtn = document.getElementById('recorder-play');
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                if (recorder.playing) {
+                    recorder.pause();
+                } else if (!recorder.playback && !this.app.startPlayback()) {
+                    return;
+                } else if (!recorder.play()) {
+                    this.showNotification('The recording needs at least two frames to play', 'warning');
+                }
+            });
+        }
+        
+        const stepBack = document.getElementById('recorder-step-back');
+        if (stepBack) {
+            stepBack.addEventListener('click', () => this.onRecorderStepClick(-1));
+        }
+        
+        const stepForward = document.getElementById('recorder-step-forward');
+        if (stepForward) {
+            stepForward.addEventListener('click', () => this.onRecorderStepClick(1));
+        }
+        
+        const scrub = document.getElementById('recorder-scrub');
+        if (scrub) {
+            scrub.addEventListener('input', (e) => {
+                recorder.pause();
+                recorder.seekFrame(parseInt(e.target.value, 10));
+            });
+        }
+        
+        const loop = document.getElementById('recorder-loop');
+        if (loop) {
+            loop.addEventListener('change', (e) => recorder.setLoop(e.target.checked));
+        }
+        
+        const speed = document.getElementById('recorder-speed');
+        if (speed) {
+            speed.addEventListener('change', (e) => recorder.setSpeed(parseFloat(e.target.value)));
+        }
+        
+        const addVertexBtn = document.getElementById('recorder-export-add');
+        if (addVertexBtn) {
+            addVertexBtn.addEventListener('click', () => this.onExportAddVertexClick());
+        }
+        
+        const exportBtn = document.getElementById('recorder-export');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportRecording());
+        }
+        
+        this.updateRecorderDisplay(recorder.getState());
+    }
+    
+    // Stepping enters playback first, so the frame shown is the recorded one
+    onRecorderStepClick(count) {
+        const recorder = this.app.recorder;
+        if (!recorder.playback && !this.app.startPlayback()) return;
+        
+        recorder.step(count);
+    }
+    
+    onExportAddVertexClick() {
+        const vertex = this.renderer ? this.renderer.highlightedVertex : null;
+        const input = document.getElementById('recorder-export-select');
+        if (!vertex || !input) {
+            this.showNotification('Select a vertex first', 'warning');
+            return;
+        }
+        
+        const names = this.getExportSelection();
+        if (!names.includes(vertex.id)) {
+            input.value = [...names, vertex.id].join(', ');
+        }
+    }
+    
+    getExportSelection() {
+        const input = document.getElementById('recorder-export-select');
+        return input ? input.value.split(',').map(name => name.trim()).filter(Boolean) : [];
+    }
+    
+    // Download the recording as time series for the vertices and groups named in the export field
+    exportRecording() {
+        const format = document.getElementById('recorder-export-format');
+        let result;
+        try {
+            result = this.app.exportRecording(format ? format.value : 'csv-long', this.getExportSelection());
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        if (!result) return;
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+        this.downloadFile(result.content, result.type, `physics-recording-${timestamp}.${result.extension}`);
+        this.showNotification(`Exported ${this.app.recorder.frames.length} frames`);
+    }
+    
+    updateRecorderDisplay(state) {
+        const timeDisplay = document.getElementById('recorder-time');
+        if (timeDisplay) {
+            if (state.recording) {
+                timeDisplay.textContent = `● ${state.duration.toFixed(2)}s, ${state.frameCount} frames`;
+            } else if (state.frameCount === 0) {
+                timeDisplay.textContent = 'No recording';
+            } else {
+                timeDisplay.textContent = `${state.currentTime.toFixed(2)}s / ${state.duration.toFixed(2)}s · frame ${state.currentFrame}/${state.frameCount - 1}`;
+            }
+        }
+        
+        // The recorder stops itself at its memory limit, tell the user once
+        if (state.truncated && !this.recorderTruncated) {
+            const megabytes = Math.round(PhysicsRecorder.MAX_BYTES / (1024 * 1024));
+            this.showNotification(`Recording stopped at the ${megabytes} MB memory limit after ${state.duration.toFixed(2)}s`, 'warning');
+        }
+        this.recorderTruncated = state.truncated;
+        
+        const recordBtn = document.getElementById('recorder-record');
+        if (recordBtn) {
+            recordBtn.textContent = state.recording ? '■ Stop' : '● Rec';
+            recordBtn.classList.toggle('recording', state.recording);
+        }
+        
+        const replayBtn = document.getElementById('recorder-replay');
+        if (replayBtn) {
+            replayBtn.textContent = state.playback ? 'Live' : 'Replay';
+            replayBtn.classList.toggle('active', state.playback);
+        }
+        
+        const playBtn = document.getElementById('recorder-play');
+        if (playBtn) {
+            playBtn.textContent = state.playing ? '❚❚' : '▶';
+        }
+        
+        const scrub = document.getElementById('recorder-scrub');
+        if (scrub) {
+            scrub.max = Math.max(0, state.frameCount - 1);
+            scrub.value = state.currentFrame;
+            scrub.disabled = state.recording || state.frameCount === 0;
+        }
+        
+        // Event markers along the track, redrawn once the recording is finished
+        const events = document.getElementById('recorder-events');
+        const markerKey = state.recording ? this.recorderMarkerKey : `${state.events.length}/${state.frameCount}`;
+        if (events && markerKey !== this.recorderMarkerKey) {
+            this.recorderMarkerKey = markerKey;
+            events.innerHTML = '';
+            
+            // Grab drags log many moves, one marker per frame is enough
+            const byFrame = new Map();
+            state.events.forEach(event => {
+                const marker = byFrame.get(event.frame) || { time: event.time, methods: new Set() };
+                marker.methods.add(event.method);
+                byFrame.set(event.frame, marker);
+            });
+            
+            byFrame.forEach(({ time, methods }) => {
+                const marker = document.createElement('span');
+                marker.className = 'timeline-key recorder-event';
+                marker.style.left = `${state.duration > 0 ? (time / state.duration) * 100 : 0}%`;
+                marker.title = `${time.toFixed(2)}s: ${[...methods].join(', ')}`;
+                events.appendChild(marker);
+            });
+        }
+    }
+    
+    // Let physics continue from whatever the animation tools left on screen
+    syncPhysicsToRenderer() {
+        if (this.renderer && this.renderer.vertices) {
+            this.app.syncPhysicsPositions(this.renderer.vertices.map(vertex => vertex.id));
+        }
     }
     
     populateDataLists() {
         if (!this.meshData) return;
         
+        // Ids and groups come from whatever file was loaded, never trust them as markup
+        const escape = (text) => this.app.escapeHtml(text);
+        
         // Populate vertices list
         const verticesList = document.getElementById('vertices-list');
         if (verticesList) {
@@ -153,8 +782,8 @@ class UIController {
             this.meshData.vertices.forEach(vertex => {
                 const div = document.createElement('div');
                 div.innerHTML = `
-                    <strong>${vertex.id}</strong><br>
-                    <small>Group: ${vertex.group} | Type: ${vertex.type} | Weight: ${vertex.weight.toFixed(2)}</small>
+                    <strong>${escape(vertex.id)}</strong><br>
+                    <small>Group: ${escape(vertex.group)} | Type: ${escape(vertex.type)} | Weight: ${vertex.weight.toFixed(2)}</small>
                 `;
                 div.dataset.vertexId = vertex.id;
                 div.style.cursor = 'pointer';
@@ -173,7 +802,7 @@ class UIController {
             this.meshData.edges.forEach(edge => {
                 const div = document.createElement('div');
                 div.innerHTML = `
-                    <strong>${edge[0]} ↔ ${edge[1]}</strong>
+                    <strong>${escape(edge[0])} ↔ ${escape(edge[1])}</strong>
                 `;
                 div.style.cursor = 'default';
                 edgesList.appendChild(div);
@@ -196,7 +825,7 @@ class UIController {
             Object.entries(groups).forEach(([group, count]) => {
                 const div = document.createElement('div');
                 div.innerHTML = `
-                    <strong>${group}</strong><br>
+                    <strong>${escape(group)}</strong><br>
                     <small>${count} vertices</small>
                 `;
                 div.style.cursor = 'pointer';
@@ -237,15 +866,29 @@ class UIController {
     
     onRenderModeChange(mode) {
         console.log('Render mode changed to:', mode);
-        // Implementation would update renderer settings
-        // For now, just show a notification
-        this.showNotification(`Render mode: ${mode}`);
+        this.app.updateConfig({ renderMode: mode });
+        
+        const labels = {
+            wireframe: 'Wireframe',
+            points: 'Point Cloud',
+            solid: 'Solid',
+            combined: 'Combined'
+        };
+        const hint = mode === 'combined' ? '' : ' (layer toggles apply in Combined mode)';
+        this.showNotification(`Render mode: ${labels[mode] || mode}${hint}`);
     }
     
     onLODLevelChange(level) {
         console.log('LOD level changed to:', level);
-        // Implementation would update mesh detail level
-        this.showNotification(`LOD level: ${level}`);
+        
+        if (!this.renderer || !this.renderer.setLODLevel(level)) {
+            this.showNotification(`LOD level ${level} is not defined for this mesh`, 'warning');
+            return;
+        }
+        
+        const active = this.renderer.activeLOD;
+        const detail = level === 'auto' ? 'auto (by camera distance)' : level;
+        this.showNotification(`LOD level: ${detail} - ${active.vertexCount} vertices, ${active.edgeCount} edges`);
     }
     
     onToggleChange(toggleId, checked) {
@@ -277,9 +920,66 @@ class UIController {
         
         // Update renderer
         this.app.updateConfig({ colorScheme });
+        this.updateColorLegend();
         
         // Show notification
-        this.showNotification(`Color scheme: ${colorScheme}`);
+        const label = typeof PhysicsAnalysis !== 'undefined' && PhysicsAnalysis.isScheme(colorScheme)
+            ? PhysicsAnalysis.SCHEMES[colorScheme].label
+            : colorScheme;
+        const physicsHint = this.renderer && this.renderer.isAnalysisScheme() && !this.app.physicsEngine.enabled
+            ? ' (enable physics to see it change)'
+            : '';
+        this.showNotification(`Color scheme: ${label}${physicsHint}`);
+    }
+    
+    // Gradient, unit and range of the analysis scheme on show; hidden for the other schemes
+    updateColorLegend() {
+        const legend = document.getElementById('color-legend');
+        if (!legend || !this.renderer) return;
+        
+        const scheme = this.renderer.config.colorScheme;
+        if (!this.renderer.isAnalysisScheme(scheme)) {
+            legend.style.display = 'none';
+            return;
+        }
+        
+        const { label, unit, palette } = PhysicsAnalysis.SCHEMES[scheme];
+        const stops = PhysicsAnalysis.PALETTES[palette]
+            .map(color => `rgb(${color.map(channel => Math.round(channel * 255)).join(', ')})`);
+        const { min, max } = this.renderer.getAnalysisRange(scheme);
+        
+        document.getElementById('legend-title').textContent = `${label} (${unit})`;
+        document.getElementById('legend-bar').style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        document.getElementById('legend-min').value = UIController.formatLegendValue(min);
+        document.getElementById('legend-max').value = UIController.formatLegendValue(max);
+        legend.style.display = '';
+    }
+    
+    onLegendRangeChange() {
+        const scheme = this.renderer ? this.renderer.config.colorScheme : null;
+        if (!this.renderer || !this.renderer.isAnalysisScheme(scheme)) return;
+        
+        const min = parseFloat(document.getElementById('legend-min').value);
+        const max = parseFloat(document.getElementById('legend-max').value);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            this.showNotification('The scale minimum has to be below its maximum', 'warning');
+            this.updateColorLegend();
+            return;
+        }
+        
+        this.renderer.setAnalysisRange(scheme, min, max);
+    }
+    
+    onLegendFitClick() {
+        if (!this.app.fitAnalysisRange()) {
+            this.showNotification('Nothing to fit yet - the values are all the same', 'warning');
+            return;
+        }
+        this.updateColorLegend();
+    }
+    
+    static formatLegendValue(value) {
+        return Number(value.toPrecision(3));
     }
     
     onPoseButtonClick(pose, event) {
@@ -290,11 +990,16 @@ class UIController {
         const target = event.currentTarget || event.target;
         target.classList.add('active');
         
+        if (!this.app.setPose(pose)) {
+            this.showNotification(`Pose not defined in mesh data: ${pose}`, 'warning');
+            return;
+        }
+        
         console.log('Changed pose to:', pose);
-        // Implementation would update mesh pose
         
         // Show notification
-        this.showNotification(`Pose: ${pose}`);
+        const gravityScale = this.app.physicsEngine ? this.app.physicsEngine.gravityScale : 1;
+        this.showNotification(`Pose: ${pose} (gravity effect ${Math.round(gravityScale * 100)}%)`);
     }
     
     onCameraButtonClick(view) {
@@ -513,6 +1218,7 @@ class UIController {
     onPhysicsToggleChange(enabled) {
         if (this.app.physicsEngine) {
             if (enabled) {
+                this.app.stopPlayback();
                 this.app.physicsEngine.enable();
                 this.showNotification('Physics simulation enabled');
             } else {
@@ -522,12 +1228,323 @@ class UIController {
         }
     }
     
+    onIKToggleChange(enabled) {
+        const ikSolver = this.renderer ? this.renderer.ikSolver : null;
+        
+        if (enabled && ikSolver && !ikSolver.enabled) {
+            this.showNotification('Inverse kinematics is disabled for this mesh', 'warning');
+            const enableIK = document.getElementById('enable-ik');
+            if (enableIK) enableIK.checked = false;
+            return;
+        }
+        
+        this.app.updateConfig({ ikEnabled: enabled });
+        
+        if (enabled) {
+            this.showNotification('Inverse kinematics enabled - drag a hand or foot joint to pose the limb');
+        } else {
+            this.showNotification('Inverse kinematics disabled');
+        }
+    }
+    
+    onCollisionToggleChange(enabled) {
+        if (!this.app.physicsEngine) return;
+        
+        this.app.physicsEngine.setCollisionDetection(enabled);
+        if (enabled) {
+            const count = this.app.physicsEngine.collisionProxies.length;
+            this.showNotification(`Body collisions enabled - ${count} collision volumes`);
+        } else {
+            this.showNotification('Body collisions disabled');
+        }
+    }
+    
+    // The mesh's collisionDetection flag decides the initial state
+    syncCollisionToggle() {
+        const enableCollisions = document.getElementById('enable-collisions');
+        if (enableCollisions && this.app.physicsEngine) {
+            enableCollisions.checked = this.app.physicsEngine.collisionDetection;
+        }
+    }
+    
+    // Built-in presets plus any the mesh defines in physics.pinPresets
+    populatePinPresets() {
+        const select = document.getElementById('pin-preset');
+        const physics = this.app.physicsEngine;
+        if (!select || !physics) return;
+        
+        select.innerHTML = '';
+        physics.getPinPresets().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        });
+        
+        // Shown after pinning or releasing single vertices
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        custom.disabled = true;
+        select.appendChild(custom);
+        
+        this.syncPinPresetSelect();
+    }
+    
+    syncPinPresetSelect() {
+        const select = document.getElementById('pin-preset');
+        const physics = this.app.physicsEngine;
+        if (select && physics) {
+            select.value = physics.pinPreset || 'custom';
+        }
+    }
+    
+    onPinPresetChange(name) {
+        if (!this.app.applyPinPreset(name)) return;
+        
+        const select = document.getElementById('pin-preset');
+        const label = select ? select.selectedOptions[0].textContent : name;
+        const count = this.app.physicsEngine.getFixedMassIds().length;
+        this.showNotification(`${label}: ${count} pinned vertices`);
+        
+        const vertex = this.renderer ? this.renderer.highlightedVertex : null;
+        if (vertex) {
+            this.updateVertexStatus(vertex.id);
+        }
+    }
+    
+    // Download the mesh JSON with the current pinned set as its fixed flags
+    saveMesh() {
+        const meshData = this.app.exportMesh();
+        if (!meshData) {
+            this.showNotification('No mesh to save', 'error');
+            return;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+        this.downloadFile(JSON.stringify(meshData, null, 2), 'application/json', `mesh-${timestamp}.json`);
+        
+        this.showNotification('Mesh saved with the current pinned vertices');
+    }
+    
+    // Download the whole session (see MeshVisualizerApp.exportState); Import brings it back
+    async exportSession() {
+        const session = await this.app.exportState();
+        if (!session) {
+            this.showNotification('No mesh to export', 'error');
+            return;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+        this.downloadFile(JSON.stringify(session), 'application/json', `session-${timestamp}.json`);
+        
+        this.showNotification('Session exported - import it to continue from this state', 'success');
+    }
+    
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    onAddWindClick() {
+        const field = this.app.addForceField({ type: 'wind' });
+        if (!field) return;
+        
+        const physicsHint = this.app.physicsEngine.enabled ? '' : ' (enable physics to simulate)';
+        this.showNotification(`Wind ${field.id} added - edit it under Force Fields${physicsHint}`);
+    }
+    
+    // The next click in the viewer places an explosion, Shift+click an implosion.
+    // Clicking the button again cancels.
+    onPlaceExplosionClick() {
+        if (!this.renderer) return;
+        
+        if (this.renderer.cancelPlacement()) {
+            this.showNotification('Explosion placement cancelled');
+            return;
+        }
+        
+        const button = document.getElementById('simulate-explosion');
+        if (button) button.classList.add('placing');
+        
+        this.renderer.startPlacement((point, shiftKey) => {
+            const type = shiftKey ? 'implosion' : 'explosion';
+            const field = this.app.addForceField({ type, center: { x: point.x, y: point.y, z: point.z } });
+            if (!field) return;
+            
+            const physicsHint = this.app.physicsEngine.enabled ? '' : ' - enable physics to simulate';
+            const label = type === 'implosion' ? 'Implosion' : 'Explosion';
+            this.showNotification(`${label} ${field.id} placed, radius ${field.radius}${physicsHint}`);
+        }, () => {
+            if (button) button.classList.remove('placing');
+        });
+        
+        this.showNotification('Click in the viewer to place an explosion, Shift+click for an implosion (Esc cancels)');
+    }
+    
+    // One editable entry per force field in the physics panel
+    renderForceFields(fields) {
+        const list = document.getElementById('force-field-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (fields.length === 0) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'data-placeholder';
+            placeholder.textContent = 'No force fields - add wind or an explosion from Quick Actions';
+            list.appendChild(placeholder);
+            return;
+        }
+        
+        fields.forEach(field => list.appendChild(this.createForceFieldItem(field)));
+    }
+    
+    createForceFieldItem(field) {
+        const item = document.createElement('div');
+        item.className = 'force-field-item';
+        item.dataset.fieldId = field.id;
+        
+        // Title, or a type switch for explosions and implosions
+        const header = document.createElement('div');
+        header.className = 'force-header';
+        if (field.type === 'wind') {
+            const title = document.createElement('span');
+            title.textContent = `Wind ${field.id}`;
+            header.appendChild(title);
+        } else {
+            const select = document.createElement('select');
+            select.className = 'control-select';
+            select.title = 'Explosions push outward, implosions pull in';
+            ['explosion', 'implosion'].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = `${type === 'explosion' ? 'Explosion' : 'Implosion'} ${field.id}`;
+                select.appendChild(option);
+            });
+            select.value = field.type;
+            select.addEventListener('change', () => this.app.updateForceField(field.id, { type: select.value }));
+            header.appendChild(select);
+        }
+        
+        const status = document.createElement('span');
+        status.className = 'force-field-status';
+        status.title = 'Timed fields fire again after Reset Physics';
+        header.appendChild(status);
+        
+        const remove = document.createElement('button');
+        remove.className = 'close-btn';
+        remove.title = 'Remove force field';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => this.onRemoveForceFieldClick(field.id));
+        header.appendChild(remove);
+        item.appendChild(header);
+        
+        // Number inputs, written back to the engine when changed
+        UIController.FORCE_FIELD_INPUTS[field.type === 'wind' ? 'wind' : 'radial'].forEach(row => {
+            const inputs = document.createElement('div');
+            inputs.className = 'force-inputs';
+            
+            row.forEach(({ key, label, title, step, min }) => {
+                const [name, axis] = key.split('.');
+                const read = (values) => (axis ? values[name][axis] : values[name]);
+                
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = step;
+                if (min !== undefined) input.min = min;
+                input.value = read(field);
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    const updated = this.app.updateForceField(field.id, { [name]: axis ? { [axis]: value } : value });
+                    if (updated) {
+                        input.value = read(updated);
+                    }
+                });
+                
+                const wrapper = document.createElement('label');
+                wrapper.title = title;
+                wrapper.append(label, input);
+                inputs.appendChild(wrapper);
+            });
+            item.appendChild(inputs);
+        });
+        
+        this.setForceFieldStatus(item, field);
+        return item;
+    }
+    
+    updateForceFieldStatus(fields) {
+        fields.forEach(field => {
+            const item = document.querySelector(`.force-field-item[data-field-id="${field.id}"]`);
+            if (item) {
+                this.setForceFieldStatus(item, field);
+            }
+        });
+    }
+    
+    setForceFieldStatus(item, field) {
+        item.classList.toggle('inactive', !field.active);
+        item.querySelector('.force-field-status').textContent = field.active ? 'active' : 'off';
+    }
+    
+    onRemoveForceFieldClick(id) {
+        if (this.app.removeForceField(id)) {
+            this.showNotification(`Force field ${id} removed`);
+        }
+    }
+    
+    // Each mesh brings its own gravity in its physics block
+    syncGravitySlider() {
+        const gravity = this.app.physicsEngine ? this.app.physicsEngine.gravity : null;
+        const gravitySlider = document.getElementById('gravity-slider');
+        const gravityValue = document.getElementById('gravity-value');
+        if (gravity === null) return;
+        
+        if (gravitySlider) gravitySlider.value = gravity;
+        if (gravityValue) gravityValue.textContent = gravity.toFixed(1);
+    }
+    
+    updateJointLimitStatus(jointIds) {
+        const limitStatus = document.getElementById('physics-limits');
+        if (!limitStatus) return;
+        
+        if (jointIds.length === 0) {
+            limitStatus.textContent = 'Within range';
+            limitStatus.style.color = '';
+            limitStatus.title = '';
+        } else {
+            limitStatus.textContent = `${jointIds.length} at limit`;
+            limitStatus.style.color = '#f72585';
+            limitStatus.title = jointIds.join(', ');
+        }
+    }
+    
     onGravityChange(value) {
         if (this.app.physicsEngine) {
             this.app.physicsEngine.setGravity(value);
         }
     }
     
+    onIntegratorChange(integrator) {
+        if (this.app.physicsEngine && this.app.physicsEngine.setIntegrator(integrator)) {
+            const select = document.getElementById('physics-integrator');
+            const label = select ? select.selectedOptions[0].textContent : integrator;
+            this.showNotification(`Integrator: ${label}`);
+        }
+    }
+    
+    onSubstepsChange(substeps) {
+        if (this.app.physicsEngine) {
+            this.app.physicsEngine.setSubsteps(substeps);
+            const step = this.app.physicsEngine.timeStep / this.app.physicsEngine.substeps;
+            this.showNotification(`${this.app.physicsEngine.substeps} substep(s) of ${(step * 1000).toFixed(1)} ms`);
+        }
+    }
+    
     // Add CSS animations if not already present
     static addNotificationStyles() {
         if (!document.getElementById('ui-notification-styles')) {
@@ -561,6 +1578,34 @@ class UIController {
     }
 }
 
+// Editable values per force field kind, one row of inputs each (see PhysicsEngine.FORCE_FIELDS)
+UIController.FORCE_FIELD_INPUTS = {
+    wind: [
+        [
+            { key: 'force.x', label: 'X', title: 'Wind acceleration along x', step: 5 },
+            { key: 'force.y', label: 'Y', title: 'Wind acceleration along y', step: 5 },
+            { key: 'force.z', label: 'Z', title: 'Wind acceleration along z', step: 5 }
+        ],
+        [
+            { key: 'gust', label: 'Gust', title: 'Extra share of the wind at the peak of a gust', step: 0.1, min: 0 },
+            { key: 'gustFrequency', label: 'Hz', title: 'Gusts per second', step: 0.1, min: 0 },
+            { key: 'turbulence', label: 'Turb', title: 'Share of the wind added as turbulence across the body', step: 0.1, min: 0 }
+        ]
+    ],
+    radial: [
+        [
+            { key: 'center.x', label: 'X', title: 'Centre x', step: 1 },
+            { key: 'center.y', label: 'Y', title: 'Centre y', step: 1 },
+            { key: 'center.z', label: 'Z', title: 'Centre z', step: 1 }
+        ],
+        [
+            { key: 'radius', label: 'R', title: 'Radius in mesh units, no force beyond it', step: 5, min: 1 },
+            { key: 'strength', label: 'F', title: 'Acceleration at the centre, fading to zero at the radius', step: 50, min: 0 },
+            { key: 'duration', label: 's', title: 'Seconds the field stays on, 0 keeps it on', step: 0.1, min: 0 }
+        ]
+    ]
+};
+
 // Add notification styles when class is loaded
 UIController.addNotificationStyles();
 
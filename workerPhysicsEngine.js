@@ -0,0 +1,186 @@
+// PhysicsEngine whose simulation runs in a Web Worker (physicsWorker.js).
+// The main thread keeps a copy of the engine state (masses, pins, loads, settings), so
+// the synchronous API works unchanged; every change is also sent to the worker. Steps
+// run asynchronously and positions come back as a transferred Float32Array.
+class WorkerPhysicsEngine extends PhysicsEngine {
+    constructor(workerUrl = WorkerPhysicsEngine.WORKER_URL) {
+        super();
+        
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+        this.worker.onerror = (event) => this.onWorkerError(event);
+        
+        this.stepInFlight = false;
+        this.pendingTime = 0; // Frame time collected while the worker was busy
+        this.generation = 0; // Bumped when positions are set from outside, older results are dropped
+        this.latestPositions = null; // Newest packed positions not yet returned by update
+        this.spareBuffer = null; // Returned to the worker with the next step so it can reuse it
+        this.jointsAtLimit = [];
+        this.grabForce = null;
+        this.velocitiesRequested = false; // Velocities come back with each step only when asked for
+        this.stateRequests = []; // Resolvers of requestSimulationState, answered in order
+    }
+    
+    // Keep the main thread velocities current too, for colour schemes that show them
+    requestVelocities(enabled) {
+        this.velocitiesRequested = Boolean(enabled);
+    }
+    
+    // The main thread copy holds Float32 positions and velocities only when requested, so
+    // saving the exact state asks the worker for its own. Resolves with getSimulationState().
+    requestSimulationState() {
+        if (!this.worker) return Promise.resolve(this.getSimulationState());
+        
+        return new Promise(resolve => {
+            this.stateRequests.push(resolve);
+            this.post({ type: 'state' });
+        });
+    }
+    
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+    
+    // Ask the worker for the next step. Returns the positions of the newest step that came
+    // back since the last call, or null; the step requested now arrives on a later frame.
+    update(deltaTime = this.timeStep) {
+        if (!this.worker) return super.update(deltaTime);
+        if (!this.enabled || deltaTime <= 0) return null;
+        
+        const latest = this.latestPositions;
+        this.latestPositions = null;
+        
+        this.pendingTime += deltaTime;
+        if (!this.stepInFlight) {
+            const positions = this.spareBuffer;
+            this.spareBuffer = null;
+            
+            this.post({
+                type: 'step',
+                deltaTime: this.pendingTime,
+                generation: this.generation,
+                positions,
+                velocities: this.velocitiesRequested
+            }, positions ? [positions.buffer] : []);
+            
+            this.stepInFlight = true;
+            this.pendingTime = 0;
+        }
+        
+        // The caller copies it this frame, afterwards the worker can refill it
+        if (latest) {
+            this.spareBuffer = latest;
+        }
+        return latest;
+    }
+    
+    onWorkerMessage(message) {
+        if (message.type === 'state') {
+            const resolve = this.stateRequests.shift();
+            if (resolve) resolve(message.state);
+            return;
+        }
+        if (message.type !== 'stepped') return;
+        
+        this.stepInFlight = false;
+        
+        // Results computed before a reset or drag would undo it
+        if (message.generation !== this.generation) {
+            this.spareBuffer = message.positions;
+            return;
+        }
+        
+        if (this.latestPositions) {
+            this.spareBuffer = this.latestPositions;
+        }
+        this.latestPositions = message.positions;
+        this.jointsAtLimit = message.jointsAtLimit;
+        this.grabForce = message.grabForce;
+        this.time = message.time; // Tells the panel which timed force fields are active
+        
+        // Keep the main thread copy current for getMassById and getMassPositions
+        if (message.positions.length === this.positions.length) {
+            this.positions.set(message.positions);
+        }
+        if (message.velocities && message.velocities.length === this.velocities.length) {
+            this.velocities.set(message.velocities);
+        }
+    }
+    
+    // Without a worker the main thread copy simply takes over the simulation
+    onWorkerError(event) {
+        console.error('Physics worker failed, simulating on the main thread:', event.message);
+        event.preventDefault();
+        
+        this.worker.terminate();
+        this.worker = null;
+        this.stepInFlight = false;
+        this.latestPositions = null;
+        
+        // Unanswered state requests get the main thread copy, which simulates from now on
+        this.stateRequests.forEach(resolve => resolve(this.getSimulationState()));
+        this.stateRequests = [];
+    }
+    
+    getJointsAtLimit() {
+        return this.worker ? this.jointsAtLimit : super.getJointsAtLimit();
+    }
+    
+    getGrabForce() {
+        if (!this.worker) return super.getGrabForce();
+        return this.grab ? this.grabForce : null;
+    }
+    
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+WorkerPhysicsEngine.WORKER_URL = 'physicsWorker.js';
+
+// Applied to the main thread copy and sent to the worker
+WorkerPhysicsEngine.MIRRORED_METHODS = [
+    'init', 'enable', 'disable', 'reset',
+    'setGravity', 'setGravityScale', 'setDamping', 'setStiffness', 'setIntegrator', 'setSubsteps',
+    'setCollisionDetection',
+    'setLoad', 'clearLoad', 'toggleFixed', 'applyPinPreset', 'setMassPosition', 'setSimulationState',
+    'addForceField', 'updateForceField', 'removeForceField', 'clearForceFields', 'setForceFields',
+    'startGrab', 'moveGrab', 'endGrab'
+];
+
+// One-off forces only matter to the simulating engine
+WorkerPhysicsEngine.REMOTE_METHODS = ['applyForce', 'applyImpulse', 'applyWind', 'applyExplosion'];
+
+// These replace the simulation state, so steps already in flight are stale
+WorkerPhysicsEngine.POSITION_METHODS = ['init', 'reset', 'setMassPosition', 'setSimulationState'];
+
+WorkerPhysicsEngine.MIRRORED_METHODS.forEach(method => {
+    WorkerPhysicsEngine.prototype[method] = function (...args) {
+        const result = PhysicsEngine.prototype[method].apply(this, args);
+        
+        if (this.worker) {
+            this.post({ type: 'call', method, args });
+            if (WorkerPhysicsEngine.POSITION_METHODS.includes(method)) {
+                this.generation++;
+                this.latestPositions = null;
+            }
+        }
+        return result;
+    };
+});
+
+WorkerPhysicsEngine.REMOTE_METHODS.forEach(method => {
+    WorkerPhysicsEngine.prototype[method] = function (...args) {
+        if (!this.worker) return PhysicsEngine.prototype[method].apply(this, args);
+        
+        this.post({ type: 'call', method, args });
+    };
+});
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerPhysicsEngine;
+}